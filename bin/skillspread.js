@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Command-line skill spread analyzer.
+ *
+ * Usage:
+ *   skillspread <run-url-or-id> [--player name] [--gate n] [--format table|json|csv|markdown|discord|png]
+ *   skillspread --file saved-run.json [...]
+ *
+ * Prints the same rows as the page's data table, using the same run fetch and
+ * skill-name cache as the server.
+ *
+ * Exit codes: 0 on success, 1 when the run cannot be loaded or has no matching
+ * data, 2 on bad arguments or an unparseable run ID.
+ */
+
+import { readFile } from 'fs/promises';
+import { basename, extname } from 'path';
+import { EXPORT_FORMATS, exportSpread, spreadSections, toTextTable } from '../lib/format.js';
+import { exportSpreadPng } from '../lib/image.js';
+import { withWarnings } from '../lib/rules.js';
+import { loadRuleSets } from '../lib/ruleStore.js';
+import { loadRun, loadRunFromJson, loadRunFromSaved } from '../lib/runData.js';
+import { buildRunBreakdown, buildRunTotals, parseRunId, selectSpread, selectTotals } from '../lib/spread.js';
+
+const USAGE = `Usage: skillspread <run-url-or-id> [options]
+       skillspread --file <run.json> [options]
+
+Options:
+  --file <path>        Analyze a saved run JSON (raw fatduck run or a saved
+                       /api/get-run-data response) instead of fetching one
+  --player <name|id>   Only this player (default: all)
+  --gate <n|id>        Gate number or ID, 'all' for every gate separately,
+                       or 'total' for the whole run (default: all)
+  --format <format>    table, json, csv, markdown, discord or png (default: table)
+  --refresh            Fetch the run again instead of using its saved snapshot
+  --save               Save a fetched run as a snapshot, like the server does
+  -h, --help           Show this help`;
+
+const FORMATS = ['table', 'json', ...EXPORT_FORMATS, 'png'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = { player: 'all', gate: 'all', format: 'table', file: null, refresh: false, save: false, help: false, input: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--refresh') {
+            options.refresh = true;
+        } else if (arg === '--save') {
+            options.save = true;
+        } else if (arg.startsWith('--')) {
+            // Accept both "--gate 3" and "--gate=3"
+            const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (!['player', 'gate', 'format', 'file'].includes(flag)) {
+                throw new UsageError(`Unknown option: --${flag}`);
+            }
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw new UsageError(`Missing value for --${flag}`);
+            }
+            options[flag] = value;
+        } else if (options.input === null) {
+            options.input = arg;
+        } else {
+            throw new UsageError(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`Unknown format '${options.format}'. Use one of: ${FORMATS.join(', ')}`);
+    }
+    return options;
+}
+
+function render(runId, spread, options) {
+    if (options.format === 'json') {
+        return JSON.stringify({ runId, ...spread }, null, 2);
+    }
+
+    if (EXPORT_FORMATS.includes(options.format)) {
+        return exportSpread(runId, spread, options.format);
+    }
+
+    return spreadSections(spread)
+        .map(section => `== ${section.player} | ${section.gate} | ${section.totalDamage.toLocaleString('en-US')} damage ==\n${toTextTable(section.rows)}`)
+        .join('\n\n');
+}
+
+// Run data that fails the schema (lib/runSchema.js) also lists every offending field
+function printLoadError(message, error) {
+    console.error(`Error: ${message}`);
+    (error.issues || []).forEach(issue => console.error(`  ${issue.path}: ${issue.message}`));
+}
+
+// Both a saved /api/get-run-data response and a raw run are checked against the run schema
+async function loadRunFile(path) {
+    const parsed = JSON.parse(await readFile(path, 'utf8'));
+    if (parsed && parsed.runData && parsed.skillDictionary) {
+        return loadRunFromSaved(parsed);
+    }
+    return loadRunFromJson(parsed);
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    let runId;
+    let run;
+    if (options.file) {
+        try {
+            run = await loadRunFile(options.file);
+        } catch (error) {
+            printLoadError(`Could not load ${options.file}: ${error.message}`, error);
+            return 1;
+        }
+        runId = parseRunId(basename(options.file, extname(options.file))) || basename(options.file);
+    } else {
+        if (!options.input) {
+            console.error(`Error: Missing run URL or ID\n\n${USAGE}`);
+            return 2;
+        }
+
+        runId = parseRunId(options.input);
+        if (!runId) {
+            console.error(`Error: Could not parse a run ID from '${options.input}'. Use a run ID or a URL like https://fatduckdn.com/runs/776482144628289536`);
+            return 2;
+        }
+
+        try {
+            // Saved snapshots are read, but only written when asked for
+            run = await loadRun(runId, { refresh: options.refresh, save: options.save });
+        } catch (error) {
+            printLoadError(error.message, error);
+            return 1;
+        }
+    }
+
+    const { runData, skillDictionary, unresolvedSkillIds = [] } = run;
+    if (unresolvedSkillIds.length > 0) {
+        console.error(`Warning: could not resolve the names of skills ${unresolvedSkillIds.join(', ')}`);
+    }
+    const spread = options.gate === 'total'
+        ? selectTotals(buildRunTotals(runData, skillDictionary), options.player)
+        : selectSpread(buildRunBreakdown(runData, skillDictionary), { player: options.player, gate: options.gate });
+    if (!spread) {
+        console.error(`Error: No data for player '${options.player}' in gate '${options.gate}' of run ${runId}`);
+        return 1;
+    }
+
+    // PNG is binary: redirect it to a file (skillspread <run> --format png > spread.png)
+    if (options.format === 'png') {
+        try {
+            process.stdout.write(exportSpreadPng(runId, spread));
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            return 1;
+        }
+        return 0;
+    }
+
+    // JSON output matches /api/spread, rule warnings included
+    const output = options.format === 'json' ? withWarnings(spread, runData, await loadRuleSets(), skillDictionary) : spread;
+    console.log(render(runId, output, options));
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -1,19 +1,97 @@
+import { timingSafeEqual } from 'crypto';
 import { createServer } from 'http';
-import { parse } from 'url';
+import { fileURLToPath, parse } from 'url';
+import { realpathSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { buildBenchmark } from './lib/benchmark.js';
+import { EXPORT_FORMATS, exportSpread } from './lib/format.js';
+import { exportSpreadPng } from './lib/image.js';
+import { buildProgression } from './lib/progression.js';
+import { recordRequestError, withRequestLog } from './lib/requestLog.js';
+import { withWarnings } from './lib/rules.js';
+import { loadRuleSets } from './lib/ruleStore.js';
+import { loadRun, loadRunFromJson, loadRunFromSaved, loadRuns } from './lib/runData.js';
+import { normalizeRun } from './lib/runSchema.js';
+import { deleteSnapshot, getSnapshot, listSnapshots } from './lib/snapshotStore.js';
+import { buildRunBreakdown, buildRunTotals, isValidRunId, selectSpread, selectTotals } from './lib/spread.js';
+import { createRateLimiter } from './lib/throttle.js';
 
 // --- CONFIGURATION ---
 // Vercel provides the port, or we default to 3000 for local testing
 const PORT = process.env.PORT || 3000;
 
+// Shareable page links: /runs/<id>, /runs/<id>/<player>, /runs/<id>/<player>/<gate>
+const PERMALINK_PATTERN = /^\/runs\/\d+(\/[^/]+){0,2}\/?$/;
+
+// Largest run JSON accepted from a file upload
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// Upper bound on run IDs in one /api/benchmark or /api/progression request
+const BENCHMARK_MAX_RUNS = Number(process.env.BENCHMARK_MAX_RUNS) || 50;
+
+// Files in lib/ that are safe to send to the browser (no Node imports)
+const BROWSER_MODULES = new Set(['spread.js', 'format.js', 'rules.js']);
+
+const EXPORT_CONTENT_TYPES = { csv: 'text/csv', markdown: 'text/markdown', discord: 'text/plain' };
+
+// format= values of /api/spread: JSON, the text exports and a PNG rendered on the server
+const SPREAD_FORMATS = ['json', ...EXPORT_FORMATS, 'png'];
+
+// Per-client limit on /api/* requests, so the server cannot be used to hammer fatduck (RATE_LIMIT_MAX=0 turns it off)
+const RATE_LIMIT_MAX = process.env.RATE_LIMIT_MAX !== undefined ? Number(process.env.RATE_LIMIT_MAX) : 60;
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const takeRateLimit = createRateLimiter({ windowMs: RATE_LIMIT_WINDOW_MS, max: RATE_LIMIT_MAX });
+
+// Behind reverse proxies every request comes from the last proxy; TRUST_PROXY=<n> takes the client from
+// X-Forwarded-For instead, trusting the entries the last n proxies appended (TRUST_PROXY=true means 1)
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true' ? 1 : Math.max(0, Math.floor(Number(process.env.TRUST_PROXY)) || 0);
+
+// Deleting saved runs needs "Authorization: Bearer <token>"; without a token configured it is turned off
+const SNAPSHOT_ADMIN_TOKEN = process.env.SNAPSHOT_ADMIN_TOKEN || '';
+
+// How long in-flight requests get to finish on SIGTERM/SIGINT before their connections are cut
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+
+let shuttingDown = false;
+
 // --- MAIN SERVER LOGIC ---
-const server = createServer(async (req, res) => {
+export const server = createServer((req, res) => {
+    withRequestLog(req, res, clientIp(req), () => handleRequest(req, res));
+});
+
+async function handleRequest(req, res) {
     const parsedUrl = parse(req.url, true);
     const { pathname, query } = parsedUrl;
 
+    // Keep-alive connections would hold a shutdown open
+    if (shuttingDown) res.setHeader('Connection', 'close');
+
     try {
+        // Health check for load balancers and process managers; 503 while shutting down
+        if (pathname === '/healthz') {
+            sendJson(res, shuttingDown ? 503 : 200, {
+                status: shuttingDown ? 'shutting down' : 'ok',
+                uptime: Math.round(process.uptime())
+            });
+            return;
+        }
+
+        if (pathname.startsWith('/api/') && RATE_LIMIT_MAX > 0) {
+            const limit = takeRateLimit(clientIp(req));
+            res.setHeader('X-RateLimit-Limit', limit.limit);
+            res.setHeader('X-RateLimit-Remaining', limit.remaining);
+            res.setHeader('X-RateLimit-Reset', Math.ceil(limit.resetAt / 1000));
+            if (!limit.allowed) {
+                res.setHeader('Retry-After', Math.ceil((limit.resetAt - Date.now()) / 1000));
+                sendJson(res, 429, { error: `Too many requests: at most ${limit.limit} per ${RATE_LIMIT_WINDOW_MS / 1000}s. Try again later.` });
+                return;
+            }
+        }
+
         // ROUTE 1: The Frontend (/)
-        // If the user requests the root, send them the HTML page
-        if (pathname === '/') {
+        // If the user requests the root, send them the HTML page.
+        // Permalinks (/runs/<id>/<player>/<gate>) get the same page, which reads the path itself
+        if (pathname === '/' || PERMALINK_PATTERN.test(pathname)) {
             res.writeHead(200, { 'Content-Type': 'text/html' });
             res.end(HTML_CONTENT);
             return;
@@ -21,6 +99,39 @@ const server = createServer(async (req, res) => {
 
         // ROUTE 2: The Backend API (/api/get-run-data)
         // If the frontend calls our API, run the API logic
+        if (pathname === '/api/get-run-data' && req.method === 'POST') {
+            // A run JSON uploaded from the page: either a raw fatduck run or a saved
+            // { runData, skillDictionary } response. Both are normalized like fetched runs
+            let body;
+            try {
+                body = await readBody(req);
+            } catch (error) {
+                if (error instanceof BodyTooLargeError) {
+                    // The rest of the body is drained, not read; don't keep the connection for another request
+                    res.setHeader('Connection', 'close');
+                    sendJson(res, 413, { error: error.message });
+                    return;
+                }
+                throw error;
+            }
+
+            let runData;
+            try {
+                runData = JSON.parse(body);
+            } catch (error) {
+                sendJson(res, 400, { error: `Request body is not valid run JSON: ${error.message}` });
+                return;
+            }
+            if (!runData || typeof runData !== 'object' || Array.isArray(runData)) {
+                sendJson(res, 400, { error: 'Request body must be a fatduck run JSON object' });
+                return;
+            }
+
+            const isSavedResponse = runData.runData && runData.skillDictionary;
+            sendJson(res, 200, await (isSavedResponse ? loadRunFromSaved(runData) : loadRunFromJson(runData)));
+            return;
+        }
+
         if (pathname === '/api/get-run-data') {
             const { id } = query;
             if (!id) {
@@ -28,9 +139,14 @@ const server = createServer(async (req, res) => {
                 res.end(JSON.stringify({ error: "Missing required query parameter: 'id'" }));
                 return;
             }
+            if (!isValidRunId(id)) {
+                sendJson(res, 400, { error: `Invalid run ID: '${id}'` });
+                return;
+            }
 
-            // Run the API data fetching logic
-            const data = await handleApiRequest(id);
+            // Run the API data fetching logic (shared with api.js, see lib/runData.js)
+            // Saved runs are served from disk unless refresh=1 asks for a fresh copy
+            const data = await loadRun(id, { refresh: isTruthy(query.refresh) });
             
             // Send the successful response
             res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate'); // Cache for 1 hour
@@ -39,81 +155,335 @@ const server = createServer(async (req, res) => {
             return;
         }
 
-        // ROUTE 3: 404 Not Found
+        // ROUTE 3: Computed Skill Spread (/api/spread)
+        // Same cleaned rows the page shows, for bots and spreadsheets
+        if (pathname === '/api/spread') {
+            const { id, player = 'all', gate = 'all', format = 'json' } = query;
+            if (!id) {
+                sendJson(res, 400, { error: "Missing required query parameter: 'id'" });
+                return;
+            }
+            if (!isValidRunId(id)) {
+                sendJson(res, 400, { error: `Invalid run ID: '${id}'` });
+                return;
+            }
+            if (!SPREAD_FORMATS.includes(format)) {
+                sendJson(res, 400, { error: `Unknown format '${format}'. Use one of: ${SPREAD_FORMATS.join(', ')}` });
+                return;
+            }
+
+            const { runData, skillDictionary, unresolvedSkillIds } = await loadRun(id);
+            // gate=total sums every gate into one whole-run spread per player
+            const spread = gate === 'total'
+                ? selectTotals(buildRunTotals(runData, skillDictionary), player)
+                : selectSpread(buildRunBreakdown(runData, skillDictionary), { player, gate });
+            if (!spread) {
+                sendJson(res, 404, { error: `No data for player '${player}' in gate '${gate}'` });
+                return;
+            }
+
+            res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate'); // Cache for 1 hour
+            if (format === 'json') {
+                const checked = withWarnings(spread, runData, await loadRuleSets(), skillDictionary);
+                sendJson(res, 200, { runId: id, unresolvedSkillIds, ...checked });
+            } else if (format === 'png') {
+                // Rendered before anything is written, so a too-tall image still gets a JSON error
+                const image = exportSpreadPng(id, spread);
+                res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': image.length });
+                res.end(image);
+            } else {
+                res.writeHead(200, { 'Content-Type': `${EXPORT_CONTENT_TYPES[format]}; charset=utf-8` });
+                res.end(exportSpread(id, spread, format));
+            }
+            return;
+        }
+
+        // ROUTE 4: Rule Sets (/api/rules)
+        // The page checks spreads against the same rules as /api/spread
+        if (pathname === '/api/rules') {
+            sendJson(res, 200, { ruleSets: await loadRuleSets() });
+            return;
+        }
+
+        // ROUTE 5: Class Benchmark (/api/benchmark)
+        // Per-skill distribution stats for each class across many runs
+        if (pathname === '/api/benchmark') {
+            const { ids = '', gate = 'total' } = query;
+            const runIds = splitRunIds(ids);
+            if (runIds.length === 0) {
+                sendJson(res, 400, { error: "Missing required query parameter: 'ids'" });
+                return;
+            }
+            const idError = checkRunIds(runIds, 'benchmark');
+            if (idError) {
+                sendJson(res, 400, { error: idError });
+                return;
+            }
+
+            const results = await loadRuns(runIds);
+            const loaded = results.filter(result => !result.error);
+            const benchmark = buildBenchmark(loaded, { gate, className: query.class || null });
+
+            sendJson(res, 200, {
+                requested: runIds.length,
+                loaded: loaded.length,
+                failed: results.filter(result => result.error).map(({ id, error }) => ({ id, error })),
+                ...benchmark
+            });
+            return;
+        }
+
+        // ROUTE 6: Player Progression (/api/progression)
+        // One player's spread over many runs, oldest first
+        if (pathname === '/api/progression') {
+            const { player, ids = '', dungeon } = query;
+            if (!player) {
+                sendJson(res, 400, { error: "Missing required query parameter: 'player'" });
+                return;
+            }
+
+            // Without explicit IDs, the most recently saved runs are the candidates
+            let runIds;
+            if (ids) {
+                runIds = splitRunIds(ids);
+                const idError = checkRunIds(runIds, 'timeline');
+                if (idError) {
+                    sendJson(res, 400, { error: idError });
+                    return;
+                }
+            } else {
+                runIds = (await listSnapshots()).slice(0, BENCHMARK_MAX_RUNS).map(snapshot => snapshot.id);
+            }
+
+            const results = await loadRuns(runIds);
+            const loaded = results.filter(result => !result.error);
+            sendJson(res, 200, {
+                requested: runIds.length,
+                loaded: loaded.length,
+                failed: results.filter(result => result.error).map(({ id, error }) => ({ id, error })),
+                ...buildProgression(loaded, { player, dungeon: dungeon || null })
+            });
+            return;
+        }
+
+        // ROUTE 7: Saved Runs (/api/runs, /api/runs/<id>)
+        // The run history: list, fetch and delete snapshots
+        if (pathname === '/api/runs' && req.method === 'GET') {
+            sendJson(res, 200, { runs: await listSnapshots(), canDelete: Boolean(SNAPSHOT_ADMIN_TOKEN) });
+            return;
+        }
+
+        const savedRunMatch = pathname.match(/^\/api\/runs\/(\d+)$/);
+        if (savedRunMatch && (req.method === 'GET' || req.method === 'DELETE')) {
+            const runId = savedRunMatch[1];
+            if (req.method === 'DELETE') {
+                if (!SNAPSHOT_ADMIN_TOKEN) {
+                    sendJson(res, 403, { error: 'Deleting saved runs is turned off on this server (SNAPSHOT_ADMIN_TOKEN is not set)' });
+                    return;
+                }
+                if (!isAdmin(req)) {
+                    res.setHeader('WWW-Authenticate', 'Bearer');
+                    sendJson(res, 401, { error: 'Deleting saved runs needs the admin token' });
+                    return;
+                }
+                if (await deleteSnapshot(runId)) {
+                    res.writeHead(204);
+                    res.end();
+                } else {
+                    sendJson(res, 404, { error: `No saved run with ID ${runId}` });
+                }
+                return;
+            }
+
+            const snapshot = await getSnapshot(runId);
+            if (!snapshot) {
+                sendJson(res, 404, { error: `No saved run with ID ${runId}` });
+                return;
+            }
+            // Snapshots from before normalization get the same clean, typed run data as everything else
+            const runData = normalizeRun(snapshot.runData, {
+                message: `Saved run ${runId} does not match the run schema`,
+                status: 500
+            });
+            sendJson(res, 200, { ...snapshot, runData });
+            return;
+        }
+
+        // ROUTE 8: Browser Modules (/lib/*.js)
+        // The page imports the same core library the server uses
+        if (pathname.startsWith('/lib/') && BROWSER_MODULES.has(pathname.slice('/lib/'.length))) {
+            const source = await readFile(new URL(`.${pathname}`, import.meta.url), 'utf8');
+            res.writeHead(200, { 'Content-Type': 'text/javascript' });
+            res.end(source);
+            return;
+        }
+
+        // ROUTE 9: 404 Not Found
         res.writeHead(404, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'Not Found' }));
 
     } catch (error) {
         // Global error handler
-        console.error("Server Error:", error);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message || 'An internal server error occurred.' }));
+        // Upstream failures carry their own status (404 unknown run, 502 upstream trouble),
+        // run data that fails the schema also lists the offending fields
+        recordRequestError(error);
+        if (!error.status) console.error("Server Error:", error); // Unexpected: keep the stack trace
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        res.removeHeader('Cache-Control'); // Set for the success response, errors must not be cached
+        res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            error: error.message || 'An internal server error occurred.',
+            ...(error.issues && error.issues.length > 0 ? { issues: error.issues } : {})
+        }));
     }
-});
+}
 
-server.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
+/**
+ * Starts listening and resolves with the port. Pass 0 for a free ephemeral
+ * port, e.g. to run the server from a local test script:
+ * const port = await startServer(0);
+ */
+export function startServer(port = PORT) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            server.off('error', reject);
+            resolve(server.address().port);
+        });
+    });
+}
 
-// --- BACKEND API LOGIC ---
-// This is the logic from the old api/get-run-data.js file
-async function handleApiRequest(id) {
-    // --- Step 1: Fetch the Main Run Data ---
-    const runUrl = `https://fatduckdn.com/api/v2/game/dps/${id}`;
-    const runResponse = await fetch(runUrl);
-    if (!runResponse.ok) {
-        throw new Error(`Failed to fetch run data (ID: ${id}): ${runResponse.statusText}`);
-    }
-    const runData = await runResponse.json();
-
-    // --- Step 2: Get All Unique Skill IDs ---
-    const allSkillIds = new Set();
-    if (runData.gates && runData.gates.length > 0) {
-        runData.gates.forEach(gate => {
-            if (gate.players && gate.players.length > 0) {
-                gate.players.forEach(player => {
-                    if (player.skills && player.skills.length > 0) {
-                        player.skills.forEach(skill => {
-                            if (skill.id > 0) allSkillIds.add(skill.id);
-                        });
-                    }
-                });
-            }
+/**
+ * Stops accepting connections and resolves once in-flight requests are done.
+ * Connections still open after SHUTDOWN_TIMEOUT_MS are cut.
+ */
+export function shutdown() {
+    shuttingDown = true;
+    return new Promise(resolve => {
+        if (!server.listening) {
+            resolve();
+            return;
+        }
+        const timer = setTimeout(() => server.closeAllConnections(), SHUTDOWN_TIMEOUT_MS);
+        timer.unref();
+        server.close(() => {
+            clearTimeout(timer);
+            resolve();
         });
+        server.closeIdleConnections();
+    });
+}
+
+// Only listen when started directly (node index.js), not when imported
+function isMainModule() {
+    try {
+        return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+    } catch (e) {
+        return false;
     }
-    const uniqueSkillIds = Array.from(allSkillIds);
-
-    // --- Step 3: Fetch All Skill Names in Parallel ---
-    const skillNamePromises = uniqueSkillIds.map(skillId => {
-        const skillUrl = `https://minerva.fatduckdn.com/api/server/duck/tables/virt.skilltable/${skillId}?uiresolve=_NameID&select=_NameID`;
-        return fetch(skillUrl)
-            .then(res => res.json())
-            .then(data => ({
-                id: skillId,
-                name: data._NameID_txt || `Unknown Skill (${skillId})`
-            }))
-            .catch(e => ({
-                id: skillId,
-                name: `Error Skill (${skillId})`
-            }));
+}
+
+if (isMainModule()) {
+    startServer().then(port => {
+        console.log(`Server running on http://localhost:${port}`);
+    }).catch(error => {
+        console.error(`Could not start the server on port ${PORT}:`, error.message);
+        process.exitCode = 1;
     });
 
-    const skillNameEntries = await Promise.all(skillNamePromises);
+    ['SIGTERM', 'SIGINT'].forEach(signal => {
+        process.once(signal, () => {
+            console.log(`${signal} received, finishing in-flight requests...`);
+            shutdown().then(() => process.exit(0));
+        });
+    });
+}
+
+// Clients can send any X-Forwarded-For they like; only the entries our own proxies appended (the
+// rightmost TRUST_PROXY ones) can be trusted, and the leftmost of those is the client
+function clientIp(req) {
+    if (TRUST_PROXY > 0 && req.headers['x-forwarded-for']) {
+        const hops = req.headers['x-forwarded-for'].split(',').map(entry => entry.trim()).filter(Boolean);
+        if (hops.length > 0) return hops[Math.max(0, hops.length - TRUST_PROXY)];
+    }
+    return req.socket.remoteAddress;
+}
+
+// "Authorization: Bearer <SNAPSHOT_ADMIN_TOKEN>", compared in constant time
+function isAdmin(req) {
+    const match = String(req.headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!match || !SNAPSHOT_ADMIN_TOKEN) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(SNAPSHOT_ADMIN_TOKEN);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// "1,2 3" -> ['1', '2', '3'], without duplicates
+function splitRunIds(value) {
+    return Array.from(new Set(String(value).split(/[\s,]+/).filter(Boolean)));
+}
+
+// Returns an error message for a list of run IDs the server should not load, or null
+function checkRunIds(runIds, purpose) {
+    if (runIds.length > BENCHMARK_MAX_RUNS) {
+        return `Too many runs: at most ${BENCHMARK_MAX_RUNS} per ${purpose}`;
+    }
+    const invalidId = runIds.find(runId => !isValidRunId(runId));
+    return invalidId ? `Invalid run ID: '${invalidId}'` : null;
+}
 
-    // --- Step 4: Create the Skill Dictionary (ID -> Name) ---
-    const skillDictionary = skillNameEntries.reduce((acc, curr) => {
-        acc[curr.id] = curr.name;
-        return acc;
-    }, {});
-    skillDictionary["-1"] = "Basic Attack";
+// Query flags like refresh=1 / refresh=true
+function isTruthy(value) {
+    return value === '1' || value === 'true';
+}
 
-    // --- Step 5: Return the combined data ---
-    return {
-        runData: runData,
-        skillDictionary: skillDictionary
-    };
+/**
+ * A request body over MAX_BODY_BYTES. `status` is what our API should answer.
+ */
+class BodyTooLargeError extends Error {
+    constructor() {
+        super(`Request body is larger than ${MAX_BODY_BYTES} bytes`);
+        this.name = 'BodyTooLargeError';
+        this.status = 413;
+    }
 }
 
+// Rejects with a BodyTooLargeError as soon as the body is too large, but keeps draining
+// the request: destroying it would cut the connection before the 413 is sent
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+            reject(new BodyTooLargeError());
+            req.resume();
+            return;
+        }
+
+        let chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            if (!chunks) return; // Already rejected, only draining
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                chunks = null;
+                reject(new BodyTooLargeError());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks) resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
 
 // --- FRONTEND HTML CONTENT ---
 // This is the full content of the old public/index.html file
@@ -175,11 +545,41 @@ const HTML_CONTENT = `
                         Fetch Run Info
                     </button>
                 </div>
+
+                <!-- Saved Run File -->
+                <div>
+                    <label for="runFileInput" class="block text-sm font-medium text-gray-300 mb-2">
+                        Or load a saved run JSON file (raw fatduck run or a saved /api/get-run-data response)
+                    </label>
+                    <input type="file" id="runFileInput" accept=".json,application/json" class="w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-gray-700 file:text-white hover:file:bg-gray-600">
+                </div>
             </div>
         </div>
 
+        <!-- Saved Runs (history) -->
+        <details id="historyPanel" class="bg-gray-800 p-6 rounded-lg mb-6">
+            <summary class="text-xl font-semibold text-white cursor-pointer">Saved Runs</summary>
+            <p class="text-sm text-gray-400 mt-2 mb-4">
+                Every fetched run is saved on the server and loads from there next time, even after fatduck drops it.
+            </p>
+            <div class="overflow-x-auto">
+                <table class="w-full min-w-max text-sm text-left">
+                    <thead class="bg-gray-700 text-gray-300 uppercase text-xs">
+                        <tr>
+                            <th class="p-3 font-semibold">Run ID</th>
+                            <th class="p-3 font-semibold">Saved</th>
+                            <th class="p-3 font-semibold">Players</th>
+                            <th class="p-3 font-semibold text-right">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody id="historyTableBody" class="divide-y divide-gray-700 text-gray-200"></tbody>
+                </table>
+            </div>
+        </details>
+
         <!-- Status/Error Output -->
         <div id="statusOutput" class="hidden my-4 p-4 bg-gray-800 rounded-lg text-red-400 font-mono text-sm"></div>
+        <div id="skillWarning" class="hidden my-4 p-4 bg-yellow-900 bg-opacity-40 rounded-lg text-yellow-300 text-sm"></div>
         <div id="loadingIndicator" class="hidden flex justify-center items-center my-6">
             <div class="loader"></div>
             <span class="ml-4 text-gray-300">Fetching data from the API...</span>
@@ -188,7 +588,7 @@ const HTML_CONTENT = `
         <!-- Filters (Hidden until data is fetched) -->
         <div id="filterControls" class="hidden bg-gray-800 p-6 rounded-lg mb-6">
              <h2 class="text-xl font-semibold text-white mb-4">Select Data to Display</h2>
-            <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-6">
                 <div>
                     <label for="playerSelect" class="block text-sm font-medium text-gray-300 mb-2">
                         Select Player
@@ -206,30 +606,82 @@ const HTML_CONTENT = `
                         Generate & Display
                     </button>
                 </div>
+                <div class="md:mt-7">
+                    <button id="partyButton" class="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg transition-colors">
+                        Party Overview
+                    </button>
+                </div>
             </div>
         </div>
 
         <!-- Output Section (Table + Chart + JSON) -->
         <div id="outputSection" class="hidden">
             <!-- Data Table -->
-            <h2 class="text-2xl font-semibold text-white mb-4">Data Table</h2>
+            <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h2 class="text-2xl font-semibold text-white">Data Table</h2>
+                <!-- Exports (run ID, player, gate and total damage go in the header of each) -->
+                <div class="flex flex-wrap gap-2">
+                    <button id="exportCsvButton" class="bg-gray-700 hover:bg-gray-600 text-white text-sm font-semibold py-2 px-4 rounded-lg transition-colors">Download CSV</button>
+                    <button id="exportMarkdownButton" class="bg-gray-700 hover:bg-gray-600 text-white text-sm font-semibold py-2 px-4 rounded-lg transition-colors">Download Markdown</button>
+                    <button id="copyDiscordButton" class="bg-gray-700 hover:bg-gray-600 text-white text-sm font-semibold py-2 px-4 rounded-lg transition-colors">Copy for Discord</button>
+                    <button id="exportPngButton" class="bg-gray-700 hover:bg-gray-600 text-white text-sm font-semibold py-2 px-4 rounded-lg transition-colors">Download PNG</button>
+                </div>
+            </div>
+            <!-- Rule warnings for this player's class (rules/*.json) -->
+            <div id="spreadWarnings" class="hidden mb-4 p-4 bg-yellow-900 bg-opacity-40 rounded-lg text-yellow-300 text-sm">
+                <p class="font-semibold mb-2">Rotation warnings</p>
+                <ul id="spreadWarningsList" class="list-disc list-inside space-y-1"></ul>
+            </div>
+            <!-- Hit totals over every skill in the table -->
+            <div id="hitSummary" class="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4"></div>
+            <input type="search" id="skillFilterInput" placeholder="Filter skills by name..." class="w-full md:w-1/3 p-2 mb-4 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm">
             <div class="overflow-x-auto bg-gray-800 rounded-lg shadow mb-8">
                 <table class="w-full min-w-max text-sm text-left">
-                    <thead class="bg-gray-700 text-gray-300 uppercase text-xs">
+                    <!-- Click a header to sort by it, click again to flip the order -->
+                    <thead id="outputTableHead" class="bg-gray-700 text-gray-300 uppercase text-xs">
                         <tr>
-                            <th class="p-3 font-semibold">Skill Name</th>
-                            <th class="p-3 font-semibold text-right">Damage</th>
-                            <th class="p-3 font-semibold text-right">Percent</th>
-                            <th class="p-3 font-semibold text-center">Crit/Hits</th>
-                            <th class="p-3 font-semibold text-right">Crit Rate</th>
+                            <th data-sort="name" class="p-3 font-semibold cursor-pointer select-none">Skill Name</th>
+                            <th data-sort="damage" class="p-3 font-semibold text-right cursor-pointer select-none">Damage</th>
+                            <th data-sort="percent" class="p-3 font-semibold text-right cursor-pointer select-none">Percent</th>
+                            <th data-sort="crit_hits" class="p-3 font-semibold text-center cursor-pointer select-none">Crit/Hits</th>
+                            <th data-sort="crit_rate" class="p-3 font-semibold text-right cursor-pointer select-none">Crit Rate</th>
+                            <th data-sort="total_hits" class="p-3 font-semibold text-center cursor-pointer select-none">Hit Buckets</th>
+                            <th data-sort="damage_per_hit" class="p-3 font-semibold text-right cursor-pointer select-none">Dmg/Hit</th>
                         </tr>
                     </thead>
                     <tbody id="outputTableBody" class="divide-y divide-gray-700 text-gray-200"></tbody>
                 </table>
             </div>
 
-            <!-- Bar Chart -->
-            <h2 class="text-2xl font-semibold text-white mb-4">Skill Damage Spread</h2>
+            <!-- Per-Gate Breakdown (All gates mode only) -->
+            <div id="gateBreakdownSection" class="hidden">
+                <h2 class="text-2xl font-semibold text-white mb-4">Per-Gate Breakdown</h2>
+                <div class="overflow-x-auto bg-gray-800 rounded-lg shadow mb-8">
+                    <table class="w-full min-w-max text-sm text-left">
+                        <thead id="gateBreakdownHead" class="bg-gray-700 text-gray-300 uppercase text-xs"></thead>
+                        <tbody id="gateBreakdownBody" class="divide-y divide-gray-700 text-gray-200"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <!-- Chart (click a bar or slice to highlight its table row, and the other way round) -->
+            <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h2 class="text-2xl font-semibold text-white">Skill Spread</h2>
+                <div class="flex flex-wrap items-center gap-2 text-sm">
+                    <select id="chartTypeSelect" class="p-2 bg-gray-700 border border-gray-600 rounded-lg text-white">
+                        <option value="bar">Bar</option>
+                        <option value="pie">Pie</option>
+                        <option value="doughnut">Doughnut</option>
+                    </select>
+                    <select id="chartModeSelect" class="p-2 bg-gray-700 border border-gray-600 rounded-lg text-white">
+                        <option value="damage">Damage spread</option>
+                        <option value="hits">Hit spread</option>
+                    </select>
+                    <label for="otherThresholdInput" class="text-gray-300">Group below</label>
+                    <input type="number" id="otherThresholdInput" min="0" max="100" step="0.5" value="0" class="w-20 p-2 bg-gray-700 border border-gray-600 rounded-lg text-white">
+                    <span class="text-gray-300">% into Other</span>
+                </div>
+            </div>
             <div id="chartContainer" class="bg-gray-800 p-4 rounded-lg shadow mb-8">
                 <canvas id="damageChart"></canvas>
             </div>
@@ -238,168 +690,1511 @@ const HTML_CONTENT = `
             <h2 class="text-2xl font-semibold text-white mb-4">Cleaned JSON Output</h2>
             <textarea id="output" rows="15" class="w-full p-3 bg-gray-950 border border-gray-700 rounded-lg text-green-300 text-sm font-mono" readonly></textarea>
         </div>
-    </div>
-
-    <script>
-        let damageChartInstance = null; // To hold the chart object
-        let FULL_RUN_DATA = null;
-        let SKILL_DICTIONARY = {};
-
-        function showStatus(message, isError = false) {
-            const statusBox = document.getElementById('statusOutput');
-            statusBox.classList.remove('hidden');
-            statusBox.textContent = message;
-            if (isError) {
-                statusBox.classList.add('text-red-400');
-                statusBox.classList.remove('text-green-400');
-            } else {
-                statusBox.classList.remove('text-red-400');
-                statusBox.classList.add('text-green-400');
-            }
-        }
 
-        async function fetchRunInfo() {
-            const fatduckUrl = document.getElementById('fatduckUrlInput').value.trim();
-            const loading = document.getElementById('loadingIndicator');
-            const statusBox = document.getElementById('statusOutput');
-            const outputSection = document.getElementById('outputSection');
-            const filterControls = document.getElementById('filterControls');
+        <!-- Party Overview (every player in the selected gate) -->
+        <div id="partySection" class="hidden">
+            <h2 id="partyTitle" class="text-2xl font-semibold text-white mb-4">Party Overview</h2>
+            <p class="text-sm text-gray-400 mb-4">Click a player to show their spread.</p>
+            <div class="overflow-x-auto bg-gray-800 rounded-lg shadow mb-8">
+                <table class="w-full min-w-max text-sm text-left">
+                    <thead class="bg-gray-700 text-gray-300 uppercase text-xs">
+                        <tr>
+                            <th class="p-3 font-semibold">Player</th>
+                            <th class="p-3 font-semibold">Class</th>
+                            <th class="p-3 font-semibold text-right">Damage</th>
+                            <th class="p-3 font-semibold text-right">Share of Party</th>
+                            <th class="p-3 font-semibold">Top Skills</th>
+                        </tr>
+                    </thead>
+                    <tbody id="partyTableBody" class="divide-y divide-gray-700 text-gray-200"></tbody>
+                </table>
+            </div>
+            <div class="bg-gray-800 p-4 rounded-lg shadow mb-8" style="position: relative; height: 400px;">
+                <canvas id="partyChart"></canvas>
+            </div>
+        </div>
 
-            if (!fatduckUrl) {
-                showStatus("Please fill in the Fatduck Run URL.", true);
-                return;
-            }
-            
-            let runId = '';
-            try {
-                const urlParts = new URL(fatduckUrl).pathname.split('/');
-                runId = urlParts.pop() || urlParts.pop(); 
-                if (!/^\\d+$/.test(runId)) {
-                    throw new Error("Could not parse Run ID from URL.");
-                }
-            } catch (e) {
-                showStatus(\`Invalid Fatduck URL. Make sure it looks like "https://fatduckdn.com/runs/..."\`, true);
-                return;
-            }
-            
-            loading.classList.remove('hidden');
-            statusBox.classList.add('hidden');
-            outputSection.classList.add('hidden');
-            filterControls.classList.add('hidden');
+        <!-- Comparison (Hidden until data is fetched) -->
+        <div id="compareControls" class="hidden bg-gray-800 p-6 rounded-lg my-6">
+            <h2 class="text-xl font-semibold text-white mb-2">Compare Spreads</h2>
+            <p class="text-sm text-gray-400 mb-4">
+                Compares the selection above (A) against another player in this run, or a player from a different run (B).
+            </p>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                <div class="md:col-span-2">
+                    <label for="compareUrlInput" class="block text-sm font-medium text-gray-300 mb-2">
+                        Second Fatduck Run URL (leave empty to use this run)
+                    </label>
+                    <input type="text" id="compareUrlInput" placeholder="https://fatduckdn.com/runs/..." class="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white">
+                </div>
+                <div class="md:mt-7">
+                    <button id="loadCompareRunButton" class="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition-colors">
+                        Load Run B
+                    </button>
+                </div>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div>
+                    <label for="comparePlayerSelect" class="block text-sm font-medium text-gray-300 mb-2">
+                        Player B
+                    </label>
+                    <select id="comparePlayerSelect" class="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white"></select>
+                </div>
+                <div>
+                    <label for="compareGateSelect" class="block text-sm font-medium text-gray-300 mb-2">
+                        Gate B
+                    </label>
+                    <select id="compareGateSelect" class="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white"></select>
+                </div>
+                <div class="md:mt-7">
+                    <button id="compareButton" class="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg transition-colors">
+                        Compare A vs B
+                    </button>
+                </div>
+            </div>
+        </div>
 
-            // THIS IS THE KEY: We fetch from a relative URL.
-            // The browser sends the request to /api/get-run-data on the *same domain*,
-            // which our Node.js server is handling.
-            const apiUrl = \`/api/get-run-data?id=\${runId}\`;
+        <div id="comparisonSection" class="hidden">
+            <h2 id="comparisonTitle" class="text-2xl font-semibold text-white mb-4">Comparison</h2>
+            <div class="overflow-x-auto bg-gray-800 rounded-lg shadow mb-8">
+                <table class="w-full min-w-max text-sm text-left">
+                    <thead class="bg-gray-700 text-gray-300 uppercase text-xs">
+                        <tr>
+                            <th class="p-3 font-semibold">Skill Name</th>
+                            <th class="p-3 font-semibold text-right">A %</th>
+                            <th class="p-3 font-semibold text-right">B %</th>
+                            <th class="p-3 font-semibold text-right">Diff (pp)</th>
+                            <th class="p-3 font-semibold text-right">A Damage</th>
+                            <th class="p-3 font-semibold text-right">B Damage</th>
+                            <th class="p-3 font-semibold text-right">Diff Damage</th>
+                        </tr>
+                    </thead>
+                    <tbody id="comparisonTableBody" class="divide-y divide-gray-700 text-gray-200"></tbody>
+                </table>
+            </div>
+            <div id="comparisonChartContainer" class="bg-gray-800 p-4 rounded-lg shadow mb-8" style="position: relative; height: 400px;">
+                <canvas id="comparisonChart"></canvas>
+            </div>
+        </div>
 
-            try {
-                const response = await fetch(apiUrl);
-                const data = await response.json();
+        <!-- Class Benchmark (Hidden until data is fetched) -->
+        <div id="benchmarkControls" class="hidden bg-gray-800 p-6 rounded-lg my-6">
+            <h2 class="text-xl font-semibold text-white mb-2">Class Benchmark</h2>
+            <p class="text-sm text-gray-400 mb-4">
+                Builds the typical spread per class from many runs and overlays the selected player on it.
+                Uses the whole run, or the same gate number when a single gate is selected above.
+            </p>
+            <label for="benchmarkRunsInput" class="block text-sm font-medium text-gray-300 mb-2">
+                Run URLs or IDs (one per line or comma-separated, up to 50)
+            </label>
+            <textarea id="benchmarkRunsInput" rows="4" class="w-full p-3 mb-6 bg-gray-700 border border-gray-600 rounded-lg text-white font-mono text-sm"></textarea>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div class="md:col-span-2">
+                    <label for="benchmarkClassSelect" class="block text-sm font-medium text-gray-300 mb-2">
+                        Class
+                    </label>
+                    <select id="benchmarkClassSelect" class="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white"></select>
+                </div>
+                <div class="md:mt-7">
+                    <button id="benchmarkButton" class="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg transition-colors">
+                        Build Benchmark
+                    </button>
+                </div>
+            </div>
+        </div>
+
+        <div id="benchmarkSection" class="hidden">
+            <h2 id="benchmarkTitle" class="text-2xl font-semibold text-white mb-4">Benchmark</h2>
+            <div class="overflow-x-auto bg-gray-800 rounded-lg shadow mb-8">
+                <table class="w-full min-w-max text-sm text-left">
+                    <thead class="bg-gray-700 text-gray-300 uppercase text-xs">
+                        <tr>
+                            <th class="p-3 font-semibold">Skill Name</th>
+                            <th class="p-3 font-semibold text-right">Used By</th>
+                            <th class="p-3 font-semibold text-right">Median</th>
+                            <th class="p-3 font-semibold text-right">Q1 - Q3</th>
+                            <th class="p-3 font-semibold text-right">Player</th>
+                            <th class="p-3 font-semibold text-center">vs Band</th>
+                        </tr>
+                    </thead>
+                    <tbody id="benchmarkTableBody" class="divide-y divide-gray-700 text-gray-200"></tbody>
+                </table>
+            </div>
+            <div class="bg-gray-800 p-4 rounded-lg shadow mb-8" style="position: relative; height: 400px;">
+                <canvas id="benchmarkChart"></canvas>
+            </div>
+        </div>
+
+        <!-- Player Progression -->
+        <div id="progressionControls" class="bg-gray-800 p-6 rounded-lg my-6">
+            <h2 class="text-xl font-semibold text-white mb-2">Player Progression</h2>
+            <p class="text-sm text-gray-400 mb-4">
+                Follows one player's whole-run spread across many runs, oldest first.
+                Leave the run list empty to use every saved run.
+            </p>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                <div>
+                    <label for="progressionPlayerInput" class="block text-sm font-medium text-gray-300 mb-2">
+                        Player name
+                    </label>
+                    <input type="text" id="progressionPlayerInput" class="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white">
+                </div>
+                <div>
+                    <label for="progressionDungeonInput" class="block text-sm font-medium text-gray-300 mb-2">
+                        Dungeon (optional)
+                    </label>
+                    <input type="text" id="progressionDungeonInput" class="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white">
+                </div>
+            </div>
+            <label for="progressionRunsInput" class="block text-sm font-medium text-gray-300 mb-2">
+                Run URLs or IDs (optional, one per line or comma-separated, up to 50)
+            </label>
+            <textarea id="progressionRunsInput" rows="3" class="w-full p-3 mb-6 bg-gray-700 border border-gray-600 rounded-lg text-white font-mono text-sm"></textarea>
+            <button id="progressionButton" class="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg transition-colors">
+                Show Progression
+            </button>
+        </div>
+
+        <div id="progressionSection" class="hidden">
+            <h2 id="progressionTitle" class="text-2xl font-semibold text-white mb-4">Progression</h2>
+            <div class="bg-gray-800 p-4 rounded-lg shadow mb-8" style="position: relative; height: 350px;">
+                <canvas id="progressionChart"></canvas>
+            </div>
+            <div class="bg-gray-800 p-4 rounded-lg shadow mb-8" style="position: relative; height: 350px;">
+                <canvas id="progressionSkillChart"></canvas>
+            </div>
+            <div class="overflow-x-auto bg-gray-800 rounded-lg shadow mb-8">
+                <table class="w-full min-w-max text-sm text-left">
+                    <thead class="bg-gray-700 text-gray-300 uppercase text-xs">
+                        <tr>
+                            <th class="p-3 font-semibold">From &rarr; To</th>
+                            <th class="p-3 font-semibold text-right">Damage Diff</th>
+                            <th class="p-3 font-semibold text-right">Crit Rate Diff (pp)</th>
+                            <th class="p-3 font-semibold">Biggest Spread Shifts (pp)</th>
+                        </tr>
+                    </thead>
+                    <tbody id="progressionTableBody" class="divide-y divide-gray-700 text-gray-200"></tbody>
+                </table>
+            </div>
+        </div>
+    </div>
+
+    <script type="module">
+        import {
+            aggregatePlayerRun, buildPartyOverview, buildSkillRows, compareSpreads, findGate, findPlayer, hitBucketLabel, parseDamage,
+            parseRunId, playerClass, summarizeHits
+        } from '/lib/spread.js';
+        import { toCsvExport, toDiscord, toMarkdown } from '/lib/format.js';
+        import { evaluateRules, rulesForClass } from '/lib/rules.js';
+
+        let damageChartInstance = null; // To hold the chart object
+        let FULL_RUN_DATA = null;
+        let SKILL_DICTIONARY = {};
+        let CURRENT_RUN_ID = null;
+        let UNRESOLVED_SKILL_IDS = new Set(); // Skills whose name lookup failed upstream
+        let CURRENT_EXPORT = null; // { rows, meta } of the spread on screen
+        let comparisonChartInstance = null;
+        let COMPARE_RUN_DATA = null; // Run B, when comparing against another run
+        let COMPARE_SKILL_DICTIONARY = {};
+        let benchmarkChartInstance = null;
+        let BENCHMARK = null; // Last /api/benchmark response
+        let RULE_SETS = []; // From /api/rules, checked against every spread shown
+        let partyChartInstance = null;
+        let TABLE_ROWS = []; // Rows of the data table before sorting and filtering
+        let TABLE_SORT = { key: 'damage', descending: true };
+        let CHART_ROWS = []; // What each bar/slice of the spread chart stands for, in chart order
+        let HIGHLIGHTED_SKILL_ID = null;
+        let progressionChartInstance = null;
+        let progressionSkillChartInstance = null;
+
+        // Label of a select's chosen option
+        function selectedText(select) {
+            return select.options[select.selectedIndex].textContent;
+        }
+
+        // +1,234 / -1,234 for differences between two spreads or runs
+        function signed(value) {
+            return (value > 0 ? '+' : '') + value.toLocaleString();
+        }
+
+        function diffClass(value) {
+            return value > 0 ? 'text-green-400' : (value < 0 ? 'text-red-400' : '');
+        }
+
+        function showStatus(message, isError = false) {
+            const statusBox = document.getElementById('statusOutput');
+            statusBox.classList.remove('hidden');
+            statusBox.textContent = message;
+            if (isError) {
+                statusBox.classList.add('text-red-400');
+                statusBox.classList.remove('text-green-400');
+            } else {
+                statusBox.classList.remove('text-red-400');
+                statusBox.classList.add('text-green-400');
+            }
+        }
+
+        async function requestRunData(runId, { refresh = false } = {}) {
+            // THIS IS THE KEY: We fetch from a relative URL.
+            // The browser sends the request to /api/get-run-data on the *same domain*,
+            // which our Node.js server is handling.
+            const response = await fetch(\`/api/get-run-data?id=\${runId}\${refresh ? '&refresh=1' : ''}\`);
+            const data = await response.json();
+            if (!response.ok || data.error) {
+                throw new Error(data.error || \`Request failed with status \${response.status}\`);
+            }
+            return data;
+        }
+
+        async function fetchRunInfo({ refresh = false } = {}) {
+            const fatduckUrl = document.getElementById('fatduckUrlInput').value.trim();
+            const loading = document.getElementById('loadingIndicator');
+            const statusBox = document.getElementById('statusOutput');
+            const outputSection = document.getElementById('outputSection');
+            const filterControls = document.getElementById('filterControls');
+
+            if (!fatduckUrl) {
+                showStatus("Please fill in the Fatduck Run URL.", true);
+                return false;
+            }
+            
+            const runId = parseRunId(fatduckUrl);
+            if (!runId) {
+                showStatus(\`Invalid Fatduck URL. Make sure it looks like "https://fatduckdn.com/runs/..."\`, true);
+                return false;
+            }
+            
+            loading.classList.remove('hidden');
+            statusBox.classList.add('hidden');
+            outputSection.classList.add('hidden');
+            filterControls.classList.add('hidden');
+            document.getElementById('compareControls').classList.add('hidden');
+            document.getElementById('benchmarkControls').classList.add('hidden');
+
+            try {
+                const data = await requestRunData(runId, { refresh });
                 loading.classList.add('hidden');
+                const shown = showRunData(data, runId);
+                loadHistory();
+                return shown;
+            } catch (error) {
+                loading.classList.add('hidden');
+                showStatus(\`Error: \${error.message}. Check your Vercel deployment logs and console for details.\`, true);
+                return false;
+            }
+        }
+
+        // Loads a run from disk: either a saved { runData, skillDictionary } response
+        // or a raw fatduck run. Both go through the server, which checks them against
+        // the run schema and resolves skill names
+        async function loadRunFile() {
+            const file = document.getElementById('runFileInput').files[0];
+            if (!file) return;
+            const loading = document.getElementById('loadingIndicator');
 
+            try {
+                const parsed = JSON.parse(await file.text());
+                loading.classList.remove('hidden');
+                const response = await fetch('/api/get-run-data', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(parsed)
+                });
+                const data = await response.json();
                 if (!response.ok || data.error) {
                     throw new Error(data.error || \`Request failed with status \${response.status}\`);
                 }
-                
-                FULL_RUN_DATA = data.runData;
-                SKILL_DICTIONARY = data.skillDictionary;
-                
-                populateFilters();
-                filterControls.classList.remove('hidden');
-                showStatus("Success! Run info loaded. Please select a player and gate.", false);
-
+                showRunData(data, parseRunId(file.name.replace(/\\.json$/i, '')) || file.name);
             } catch (error) {
+                showStatus(\`Error loading \${file.name}: \${error.message}\`, true);
+            } finally {
                 loading.classList.add('hidden');
-                showStatus(\`Error: \${error.message}. Check your Vercel deployment logs and console for details.\`, true);
             }
         }
 
+        // Returns true when the run has data to show
+        function showRunData(data, runId) {
+            if (!Array.isArray(data.runData.gates) || data.runData.gates.length === 0) {
+                showStatus("This run has no gates. There is no data to display.", true);
+                return false;
+            }
+
+            FULL_RUN_DATA = data.runData;
+            SKILL_DICTIONARY = data.skillDictionary;
+            CURRENT_RUN_ID = runId;
+            UNRESOLVED_SKILL_IDS = new Set((data.unresolvedSkillIds || []).map(String));
+
+            const skillWarning = document.getElementById('skillWarning');
+            skillWarning.classList.toggle('hidden', UNRESOLVED_SKILL_IDS.size === 0);
+            skillWarning.textContent = \`Warning: the skill names for \${Array.from(UNRESOLVED_SKILL_IDS).join(', ')} could not be loaded. \`
+                + 'Those rows are shown with their skill ID instead of a name. Try again later.';
+            
+            populateFilters();
+            document.getElementById('outputSection').classList.add('hidden');
+            document.getElementById('partySection').classList.add('hidden');
+            document.getElementById('filterControls').classList.remove('hidden');
+            document.getElementById('compareControls').classList.remove('hidden');
+            document.getElementById('comparisonSection').classList.add('hidden');
+            document.getElementById('benchmarkControls').classList.remove('hidden');
+            document.getElementById('benchmarkSection').classList.add('hidden');
+            const savedNote = data.source === 'saved' ? \` (saved copy from \${new Date(data.savedAt).toLocaleString()})\` : '';
+            showStatus(\`Success! Run info loaded\${savedNote}. Please select a player and gate.\`, false);
+            updatePermalink(false);
+            return true;
+        }
+
         function populateFilters() {
-            const playerSelect = document.getElementById('playerSelect');
-            const gateSelect = document.getElementById('gateSelect');
+            fillSelects(FULL_RUN_DATA, document.getElementById('playerSelect'), document.getElementById('gateSelect'));
+            COMPARE_RUN_DATA = null;
+            COMPARE_SKILL_DICTIONARY = {};
+            fillSelects(FULL_RUN_DATA, document.getElementById('comparePlayerSelect'), document.getElementById('compareGateSelect'));
+        }
+
+        function fillSelects(runData, playerSelect, gateSelect) {
             playerSelect.innerHTML = '';
             gateSelect.innerHTML = '';
 
-            FULL_RUN_DATA.players.forEach(player => {
+            (runData.players || []).forEach(player => {
                 const option = document.createElement('option');
                 option.value = player.id;
                 option.textContent = player.name;
                 playerSelect.appendChild(option);
             });
 
-            FULL_RUN_DATA.gates.forEach(gate => {
+            (runData.gates || []).forEach(gate => {
                 const option = document.createElement('option');
                 option.value = gate.id;
                 option.textContent = \`\${gate.gateNum}: \${gate.name}\`;
                 gateSelect.appendChild(option);
             });
+
+            const allGatesOption = document.createElement('option');
+            allGatesOption.value = 'all';
+            allGatesOption.textContent = 'All gates (whole run)';
+            gateSelect.appendChild(allGatesOption);
         }
 
-        function generateCleanJson() {
-            const playerId = parseInt(document.getElementById('playerSelect').value, 10);
-            const gateId = document.getElementById('gateSelect').value;
+        /**
+         * Cleaned rows for one player in one gate, or the whole run when gateId is 'all'.
+         * Returns { rows, playerGates, totalDamage } or { error } when the selection has no data.
+         */
+        function getSpread(runData, skillDictionary, playerId, gateId) {
+            if (gateId === 'all') {
+                // Whole run: damage and hitCounts summed across every gate
+                const playerRun = aggregatePlayerRun(runData, playerId, skillDictionary);
+                if (playerRun.gates.length === 0) {
+                    return { error: "Error: Player data not found in any gate." };
+                }
+                return { rows: playerRun.skills, playerGates: playerRun.gates, totalDamage: playerRun.totalDamage };
+            }
 
-            const gate = FULL_RUN_DATA.gates.find(g => g.id === gateId);
+            const gate = findGate(runData, gateId);
             if (!gate) {
-                showStatus("Error: Gate data not found.", true);
-                return;
+                return { error: "Error: Gate data not found." };
             }
             
-            const player = gate.players.find(p => p.id === playerId);
+            const player = findPlayer(gate, playerId);
             if (!player) {
-                showStatus("Error: Player data not found for this gate.", true);
-                return;
+                return { error: "Error: Player data not found for this gate." };
             }
             
-            const totalDamage = parseInt(player.damageDealt.replace(/\\./g, ''), 10);
+            // Same math as the server, see lib/spread.js
+            return {
+                rows: buildSkillRows(player, skillDictionary),
+                playerGates: [],
+                totalDamage: parseDamage(player.damageDealt)
+            };
+        }
+
+        function generateCleanJson() {
+            const playerId = document.getElementById('playerSelect').value;
+            const gateId = document.getElementById('gateSelect').value;
+            const outputSection = document.getElementById('outputSection');
+            const gateBreakdownSection = document.getElementById('gateBreakdownSection');
+
+            const spread = getSpread(FULL_RUN_DATA, SKILL_DICTIONARY, playerId, gateId);
+            if (spread.error) {
+                showStatus(spread.error, true);
+                return;
+            }
+            const cleanedData = spread.rows;
+            const playerGates = spread.playerGates;
+            updatePermalink(true);
+
+            CURRENT_EXPORT = {
+                rows: cleanedData,
+                meta: {
+                    runId: CURRENT_RUN_ID,
+                    player: selectedText(document.getElementById('playerSelect')),
+                    gate: gateId === 'all' ? 'All gates' : selectedText(document.getElementById('gateSelect')),
+                    totalDamage: spread.totalDamage
+                }
+            };
+
+            showSpreadWarnings(evaluateRules(cleanedData, rulesForClass(RULE_SETS, playerClass(FULL_RUN_DATA, playerId)), SKILL_DICTIONARY));
+
+            // Suggest the selected player for the progression timeline
+            const progressionPlayerInput = document.getElementById('progressionPlayerInput');
+            if (!progressionPlayerInput.value) progressionPlayerInput.value = CURRENT_EXPORT.meta.player;
+
+            populateGateBreakdown(cleanedData, playerGates);
+            gateBreakdownSection.classList.toggle('hidden', playerGates.length === 0 || cleanedData.length === 0);
 
-            if (totalDamage === 0) {
-                showStatus("Player has 0 damage for this gate. No data to display.", false);
+            if (cleanedData.length === 0) {
+                showStatus(\`Player has 0 damage for \${gateId === 'all' ? 'this run' : 'this gate'}. No data to display.\`, false);
                 document.getElementById('output').value = "[]";
                 populateTable([]);
+                populateHitSummary([]);
                 if (damageChartInstance) damageChartInstance.destroy();
+                damageChartInstance = null;
                 outputSection.classList.remove('hidden');
                 return;
             }
-            
-            const cleanedData = player.skills.map(skill => {
-                const damage = parseInt(skill.damage.replace(/\\./g, ''), 10);
-                const percent = parseFloat(((damage / totalDamage) * 100).toFixed(1));
-                
-                const crits = skill.hitCounts[1] || 0;
-                const totalHits = skill.hitCounts.reduce((a, b) => a + b, 0);
-                const critHitsStr = \`\${crits} / \${totalHits}\`;
-                const critRate = (totalHits > 0) ? parseFloat(((crits / totalHits) * 100).toFixed(1)) : 0.0;
-                
-                return {
-                    name: SKILL_DICTIONARY[skill.id] || \`Unknown Skill (\${skill.id})\`,
-                    damage: damage,
-                    percent: percent,
-                    crit_hits: critHitsStr,
-                    crit_rate: critRate
-                };
-            }).sort((a, b) => b.damage - a.damage);
 
             document.getElementById('output').value = JSON.stringify(cleanedData, null, 2);
             populateTable(cleanedData);
+            populateHitSummary(cleanedData);
             populateChart(cleanedData);
             
             outputSection.classList.remove('hidden');
-            statusBox.classList.add('hidden');
+            document.getElementById('statusOutput').classList.add('hidden');
+        }
+
+        // Rule warnings for the spread on screen (see lib/rules.js)
+        function showSpreadWarnings(warnings) {
+            const list = document.getElementById('spreadWarningsList');
+            list.innerHTML = '';
+            warnings.forEach(warning => {
+                const item = document.createElement('li');
+                item.textContent = warning.message;
+                if (warning.note) {
+                    const note = document.createElement('span');
+                    note.className = 'text-yellow-200 text-opacity-70';
+                    note.textContent = \` (\${warning.note})\`;
+                    item.appendChild(note);
+                }
+                list.appendChild(item);
+            });
+            document.getElementById('spreadWarnings').classList.toggle('hidden', warnings.length === 0);
+        }
+
+        async function loadRules() {
+            try {
+                const response = await fetch('/api/rules');
+                const data = await response.json();
+                if (!response.ok || data.error) {
+                    throw new Error(data.error || \`Request failed with status \${response.status}\`);
+                }
+                RULE_SETS = data.ruleSets;
+            } catch (error) {
+                // The spread is still useful without warnings
+                console.error('Could not load rule sets:', error);
+            }
+        }
+
+        // One row per skill, one column per gate: damage and that gate's share of the skill
+        function populateGateBreakdown(data, playerGates) {
+            const head = document.getElementById('gateBreakdownHead');
+            const body = document.getElementById('gateBreakdownBody');
+            head.innerHTML = '';
+            body.innerHTML = '';
+            if (playerGates.length === 0) return;
+
+            const headRow = document.createElement('tr');
+            headRow.innerHTML = '<th class="p-3 font-semibold">Skill Name</th>'
+                + playerGates.map(() => '<th class="p-3 font-semibold text-right"></th>').join('')
+                + '<th class="p-3 font-semibold text-right">Total</th>';
+            // Gate and skill names come from the run and may contain anything
+            playerGates.forEach((g, i) => {
+                headRow.cells[i + 1].textContent = \`\${g.gateNum}: \${g.name}\`;
+            });
+            head.appendChild(headRow);
+
+            data.forEach(skill => {
+                const row = document.createElement('tr');
+                row.className = 'hover:bg-gray-700';
+                const cells = playerGates.map(g => {
+                    const entry = skill.gates.find(sg => String(sg.id) === String(g.id));
+                    return entry
+                        ? \`<td class="p-3 text-right">\${entry.damage.toLocaleString()} <span class="text-gray-400">(\${entry.percent}%)</span></td>\`
+                        : '<td class="p-3 text-right text-gray-500">-</td>';
+                });
+                row.innerHTML = \`<td class="p-3"></td>\${cells.join('')}<td class="p-3 text-right">\${skill.damage.toLocaleString()}</td>\`;
+                row.cells[0].textContent = skill.name;
+                body.appendChild(row);
+            });
         }
 
         function populateTable(data) {
+            TABLE_ROWS = data;
+            HIGHLIGHTED_SKILL_ID = null;
+            renderTable();
+        }
+
+        // "Crit/Hits" sorts by crits, "Hit Buckets" by total hits
+        function sortValue(skill, key) {
+            if (key === 'crit_hits') return skill.hit_counts[1] || 0;
+            return skill[key];
+        }
+
+        function renderTable() {
             const tableBody = document.getElementById('outputTableBody');
             tableBody.innerHTML = ''; 
 
-            if (data.length === 0) {
-                 tableBody.innerHTML = '<tr><td colspan="5" class="p-3 text-center text-gray-400">No skill data found.</td></tr>';
+            document.querySelectorAll('#outputTableHead th[data-sort]').forEach(th => {
+                const arrow = th.dataset.sort === TABLE_SORT.key ? (TABLE_SORT.descending ? ' \u25BC' : ' \u25B2') : '';
+                th.textContent = th.textContent.replace(/ [\u25B2\u25BC]$/, '') + arrow;
+            });
+
+            if (TABLE_ROWS.length === 0) {
+                 tableBody.innerHTML = '<tr><td colspan="7" class="p-3 text-center text-gray-400">No skill data found.</td></tr>';
                  return;
             }
 
+            const filter = document.getElementById('skillFilterInput').value.trim().toLowerCase();
+            const { key, descending } = TABLE_SORT;
+            const data = TABLE_ROWS
+                .filter(skill => skill.name.toLowerCase().includes(filter))
+                .sort((a, b) => {
+                    const x = sortValue(a, key);
+                    const y = sortValue(b, key);
+                    const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+                    return descending ? -order : order;
+                });
+            if (data.length === 0) {
+                tableBody.innerHTML = '<tr><td colspan="7" class="p-3 text-center text-gray-400">No skills match the filter.</td></tr>';
+                return;
+            }
+
             data.forEach(skill => {
+                const row = document.createElement('tr');
+                row.className = 'hover:bg-gray-700 cursor-pointer';
+                row.dataset.skillId = String(skill.id);
+                row.addEventListener('click', () => highlightSkill(String(skill.id)));
+                row.innerHTML = \`
+                    <td class="p-3"></td>
+                    <td class="p-3 text-right">\${skill.damage.toLocaleString()}</td>
+                    <td class="p-3 text-right">\${skill.percent}%</td>
+                    <td class="p-3 text-center">\${skill.crit_hits}</td>
+                    <td class="p-3 text-right">\${skill.crit_rate}%</td>
+                    <td class="p-3 text-center font-mono text-xs" title="\${skill.hit_counts.map((count, i) => \`\${hitBucketLabel(i)}: \${count}\`).join(', ')}">\${skill.hit_counts.join(' / ') || '-'}</td>
+                    <td class="p-3 text-right">\${skill.damage_per_hit.toLocaleString()}</td>
+                \`;
+                // Skill names come from the run and may contain anything
+                if (UNRESOLVED_SKILL_IDS.has(String(skill.id))) {
+                    const nameCell = document.createElement('span');
+                    nameCell.className = 'text-yellow-300';
+                    nameCell.title = 'Name lookup failed';
+                    nameCell.textContent = \`\u26A0 \${skill.name}\`;
+                    row.cells[0].appendChild(nameCell);
+                } else {
+                    row.cells[0].textContent = skill.name;
+                }
+                tableBody.appendChild(row);
+            });
+            showHighlight();
+        }
+
+        function sortTable(key) {
+            // Names read best A-Z, numbers biggest first
+            TABLE_SORT = TABLE_SORT.key === key
+                ? { key: key, descending: !TABLE_SORT.descending }
+                : { key: key, descending: key !== 'name' };
+            renderTable();
+        }
+
+        // Clicking the highlighted skill again clears the highlight
+        function highlightSkill(skillId) {
+            HIGHLIGHTED_SKILL_ID = HIGHLIGHTED_SKILL_ID === skillId ? null : skillId;
+            showHighlight();
+        }
+
+        function showHighlight() {
+            // A skill grouped into "Other" highlights the Other bar/slice, and Other highlights all of its skills
+            const chartIndex = CHART_ROWS.findIndex(row => row.memberIds.includes(HIGHLIGHTED_SKILL_ID)
+                || String(row.id) === HIGHLIGHTED_SKILL_ID);
+            const highlightedIds = chartIndex >= 0 ? CHART_ROWS[chartIndex].memberIds : [HIGHLIGHTED_SKILL_ID];
+            document.querySelectorAll('#outputTableBody tr[data-skill-id]').forEach(row => {
+                const isOwn = row.dataset.skillId === HIGHLIGHTED_SKILL_ID;
+                row.classList.toggle('bg-blue-900', isOwn || (HIGHLIGHTED_SKILL_ID === 'other' && highlightedIds.includes(row.dataset.skillId)));
+                row.classList.toggle('bg-opacity-60', row.classList.contains('bg-blue-900'));
+            });
+
+            if (!damageChartInstance) return;
+            const active = HIGHLIGHTED_SKILL_ID !== null && chartIndex >= 0
+                ? damageChartInstance.data.datasets.map((_, datasetIndex) => ({ datasetIndex, index: chartIndex }))
+                : [];
+            damageChartInstance.setActiveElements(active);
+            if (damageChartInstance.tooltip) damageChartInstance.tooltip.setActiveElements(active, { x: 0, y: 0 });
+            damageChartInstance.update();
+        }
+
+        /**
+         * Merges every skill below \`threshold\` percent of damage into one "Other" row.
+         * Each chart row lists the skill IDs it stands for in \`memberIds\`.
+         */
+        function groupSmallSkills(data, threshold) {
+            const kept = data.filter(skill => !(skill.percent < threshold));
+            const small = data.filter(skill => skill.percent < threshold);
+            const rows = kept.map(skill => ({ ...skill, memberIds: [String(skill.id)] }));
+            if (small.length === 0) return rows;
+
+            const hitCounts = [];
+            small.forEach(skill => skill.hit_counts.forEach((count, i) => {
+                hitCounts[i] = (hitCounts[i] || 0) + count;
+            }));
+            rows.push({
+                id: 'other',
+                name: \`Other (\${small.length} skill\${small.length === 1 ? '' : 's'})\`,
+                damage: small.reduce((sum, skill) => sum + skill.damage, 0),
+                percent: parseFloat(small.reduce((sum, skill) => sum + skill.percent, 0).toFixed(1)),
+                hit_counts: Array.from(hitCounts, count => count || 0),
+                total_hits: small.reduce((sum, skill) => sum + skill.total_hits, 0),
+                memberIds: small.map(skill => String(skill.id))
+            });
+            return rows;
+        }
+
+        function populateHitSummary(data) {
+            const hits = summarizeHits(data);
+            const stats = [
+                ['Total Hits', hits.total_hits.toLocaleString()],
+                ['Weighted Crit Rate', \`\${hits.crit_rate}%\`],
+                ['Avg Hits per Skill', hits.average_hits.toLocaleString()],
+                ['Damage per Hit', hits.damage_per_hit.toLocaleString()],
+                ['Hit Buckets', hits.hit_counts.map((count, i) => \`\${hitBucketLabel(i)} \${count.toLocaleString()}\`).join(', ') || '-']
+            ];
+            document.getElementById('hitSummary').innerHTML = stats.map(([label, value]) => \`
+                <div class="bg-gray-800 rounded-lg p-3">
+                    <div class="text-xs uppercase text-gray-400">\${label}</div>
+                    <div class="text-lg font-semibold text-white">\${value}</div>
+                </div>
+            \`).join('');
+        }
+
+        function populateChart(data) {
+            const ctx = document.getElementById('damageChart').getContext('2d');
+            if (damageChartInstance) damageChartInstance.destroy();
+
+            const chartType = document.getElementById('chartTypeSelect').value;
+            const hitMode = document.getElementById('chartModeSelect').value === 'hits';
+            const threshold = parseFloat(document.getElementById('otherThresholdInput').value) || 0;
+            CHART_ROWS = groupSmallSkills(data, threshold);
+            const rows = CHART_ROWS;
+
+            let datasets;
+            if (chartType !== 'bar') {
+                // Pies show one slice per skill: its damage share, or its share of all hits
+                datasets = [{
+                    label: hitMode ? 'Hits' : 'Damage %',
+                    data: rows.map(skill => hitMode ? skill.total_hits : skill.percent),
+                    backgroundColor: rows.map((skill, i) => skill.id === 'other'
+                        ? 'rgba(107, 114, 128, 0.7)'
+                        : \`hsl(\${Math.round((i * 360) / rows.length)}, 65%, 55%)\`),
+                    borderColor: '#1f2937'
+                }];
+            } else if (hitMode) {
+                // Hit spread: one stacked segment per hitCounts bucket, so crit share per skill is visible
+                const bucketCount = Math.max(0, ...rows.map(skill => skill.hit_counts.length));
+                const bucketColors = ['rgba(59, 130, 246, 0.7)', 'rgba(234, 179, 8, 0.8)'];
+                datasets = Array.from({ length: bucketCount }, (_, i) => ({
+                    label: hitBucketLabel(i),
+                    data: rows.map(skill => skill.hit_counts[i] || 0),
+                    backgroundColor: bucketColors[i] || \`hsl(\${(i * 67) % 360}, 60%, 55%)\`
+                }));
+            } else {
+                datasets = [{
+                    label: 'Damage %',
+                    data: rows.map(skill => skill.percent),
+                    backgroundColor: 'rgba(59, 130, 246, 0.7)'
+                }];
+            }
+
+            let scales = {};
+            if (chartType === 'bar' && hitMode) {
+                scales = { x: { stacked: true }, y: { stacked: true, title: { display: true, text: 'Hits' } } };
+            }
+
+            damageChartInstance = new Chart(ctx, {
+                type: chartType,
+                data: {
+                    labels: rows.map(skill => skill.name),
+                    datasets: datasets
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: scales,
+                    onClick: (event, elements) => {
+                        if (elements.length > 0) highlightSkill(String(rows[elements[0].index].id));
+                    }
+                }
+            });
+            showHighlight();
+        }
+
+        function downloadFile(filename, href) {
+            const link = document.createElement('a');
+            link.href = href;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+        }
+
+        function downloadText(filename, text, type) {
+            const href = URL.createObjectURL(new Blob([text], { type }));
+            downloadFile(filename, href);
+            URL.revokeObjectURL(href);
+        }
+
+        function exportFilename(extension) {
+            const { runId, player, gate } = CURRENT_EXPORT.meta;
+            const slug = \`\${runId}-\${player}-\${gate}\`.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+            return \`skillspread-\${slug}.\${extension}\`;
+        }
+
+        function exportCsv() {
+            if (!CURRENT_EXPORT) return;
+            downloadText(exportFilename('csv'), toCsvExport(CURRENT_EXPORT.rows, CURRENT_EXPORT.meta), 'text/csv');
+        }
+
+        function exportMarkdown() {
+            if (!CURRENT_EXPORT) return;
+            downloadText(exportFilename('md'), toMarkdown(CURRENT_EXPORT.rows, CURRENT_EXPORT.meta), 'text/markdown');
+        }
+
+        async function copyDiscord() {
+            if (!CURRENT_EXPORT) return;
+            try {
+                await navigator.clipboard.writeText(toDiscord(CURRENT_EXPORT.rows, CURRENT_EXPORT.meta));
+                showStatus("Copied! Paste it straight into Discord.", false);
+            } catch (error) {
+                showStatus(\`Could not copy to the clipboard: \${error.message}\`, true);
+            }
+        }
+
+        // Draws the header, the chart and the table onto one canvas and downloads it
+        function exportPng() {
+            if (!CURRENT_EXPORT) return;
+            const { rows, meta } = CURRENT_EXPORT;
+            const chartCanvas = document.getElementById('damageChart');
+            const width = 1000;
+            const padding = 24;
+            const lineHeight = 28;
+            const chartHeight = damageChartInstance ? Math.round(chartCanvas.height * (width - padding * 2) / chartCanvas.width) : 0;
+            const headerHeight = lineHeight * 2 + padding;
+            const tableHeight = lineHeight * (rows.length + 1);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = padding + headerHeight + chartHeight + padding + tableHeight + padding;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#111827';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            // Header: run ID, player, gate and total damage
+            let y = padding + 20;
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 22px sans-serif';
+            ctx.fillText(\`\${meta.player} | \${meta.gate}\`, padding, y);
+            y += lineHeight;
+            ctx.fillStyle = '#9ca3af';
+            ctx.font = '16px sans-serif';
+            ctx.fillText(\`Run \${meta.runId} | Total damage \${meta.totalDamage.toLocaleString()}\`, padding, y);
+            y += padding;
+
+            if (chartHeight > 0) {
+                ctx.drawImage(chartCanvas, padding, y, width - padding * 2, chartHeight);
+                y += chartHeight + padding;
+            }
+
+            // Table: same columns as the page
+            const columns = [
+                { label: 'Skill Name', x: padding, align: 'left', value: row => row.name },
+                { label: 'Damage', x: 600, align: 'right', value: row => row.damage.toLocaleString() },
+                { label: 'Percent', x: 720, align: 'right', value: row => \`\${row.percent}%\` },
+                { label: 'Crit/Hits', x: 860, align: 'right', value: row => row.crit_hits },
+                { label: 'Crit Rate', x: width - padding, align: 'right', value: row => \`\${row.crit_rate}%\` }
+            ];
+            const drawRow = (values, color, font) => {
+                ctx.fillStyle = color;
+                ctx.font = font;
+                columns.forEach((column, i) => {
+                    ctx.textAlign = column.align;
+                    ctx.fillText(values[i], column.x, y + 19);
+                });
+                y += lineHeight;
+            };
+            drawRow(columns.map(column => column.label.toUpperCase()), '#d1d5db', 'bold 13px sans-serif');
+            rows.forEach(row => drawRow(columns.map(column => column.value(row)), '#e5e7eb', '15px sans-serif'));
+
+            downloadFile(exportFilename('png'), canvas.toDataURL('image/png'));
+        }
+
+        // --- Party Overview ---
+
+        function showPartyOverview() {
+            const gateSelect = document.getElementById('gateSelect');
+            const party = buildPartyOverview(FULL_RUN_DATA, gateSelect.value, SKILL_DICTIONARY);
+            if (!party) {
+                showStatus("Error: Gate data not found.", true);
+                return;
+            }
+
+            const gateLabel = party.gate ? \`Gate \${party.gate.gateNum}: \${party.gate.name}\` : 'Whole run';
+            document.getElementById('partyTitle').textContent =
+                \`Party Overview - \${gateLabel} (\${party.totalDamage.toLocaleString()} damage)\`;
+
+            const tableBody = document.getElementById('partyTableBody');
+            tableBody.innerHTML = '';
+            party.players.forEach(player => {
+                const topSkills = player.skills.slice(0, 3).map(skill => \`\${skill.name} \${skill.percent}%\`).join(', ');
+                const row = document.createElement('tr');
+                row.className = 'hover:bg-gray-700 cursor-pointer';
+                row.innerHTML = \`
+                    <td class="p-3 font-semibold"></td>
+                    <td class="p-3"></td>
+                    <td class="p-3 text-right">\${player.damage.toLocaleString()}</td>
+                    <td class="p-3 text-right">
+                        <div class="flex items-center justify-end gap-2">
+                            <div class="w-24 bg-gray-700 rounded h-2"><div class="bg-blue-500 h-2 rounded" style="width: \${player.share}%"></div></div>
+                            <span>\${player.share}%</span>
+                        </div>
+                    </td>
+                    <td class="p-3 text-gray-300"></td>
+                \`;
+                // Names come from the run and may contain anything
+                row.cells[0].textContent = player.name;
+                row.cells[1].textContent = player.className;
+                row.cells[4].textContent = topSkills || '-';
+                row.addEventListener('click', () => {
+                    document.getElementById('playerSelect').value = String(player.id);
+                    generateCleanJson();
+                });
+                tableBody.appendChild(row);
+            });
+
+            // Stacked bars: each player's top skills get their own segment, the rest is "Other"
+            const skillIds = [];
+            const skillNames = new Map();
+            party.players.forEach(player => {
+                player.skills.slice(0, 5).forEach(skill => {
+                    if (!skillNames.has(String(skill.id))) skillIds.push(String(skill.id));
+                    skillNames.set(String(skill.id), skill.name);
+                });
+            });
+            const damageOf = (player, skillId) => {
+                const skill = player.skills.find(row => String(row.id) === skillId);
+                return skill ? skill.damage : 0;
+            };
+            const datasets = skillIds.map((skillId, i) => ({
+                label: skillNames.get(skillId),
+                data: party.players.map(player => damageOf(player, skillId)),
+                backgroundColor: \`hsl(\${Math.round((i * 360) / skillIds.length)}, 65%, 55%)\`
+            }));
+            datasets.push({
+                label: 'Other',
+                data: party.players.map(player => player.damage - skillIds.reduce((sum, skillId) => sum + damageOf(player, skillId), 0)),
+                backgroundColor: 'rgba(107, 114, 128, 0.7)'
+            });
+
+            const ctx = document.getElementById('partyChart').getContext('2d');
+            if (partyChartInstance) partyChartInstance.destroy();
+            partyChartInstance = new Chart(ctx, {
+                type: 'bar',
+                data: { labels: party.players.map(player => player.name), datasets: datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true } },
+                    // A full party can have dozens of skills; the tooltip still names each segment
+                    plugins: { legend: { display: datasets.length <= 16 } }
+                }
+            });
+
+            document.getElementById('partySection').classList.remove('hidden');
+        }
+
+        async function loadCompareRun() {
+            const input = document.getElementById('compareUrlInput').value.trim();
+            const playerSelect = document.getElementById('comparePlayerSelect');
+            const gateSelect = document.getElementById('compareGateSelect');
+
+            // Empty input means "compare within the loaded run"
+            if (!input) {
+                COMPARE_RUN_DATA = null;
+                COMPARE_SKILL_DICTIONARY = {};
+                fillSelects(FULL_RUN_DATA, playerSelect, gateSelect);
+                return;
+            }
+
+            const runId = parseRunId(input);
+            if (!runId) {
+                showStatus(\`Invalid Fatduck URL for run B. Make sure it looks like "https://fatduckdn.com/runs/..."\`, true);
+                return;
+            }
+
+            try {
+                const data = await requestRunData(runId);
+                COMPARE_RUN_DATA = data.runData;
+                COMPARE_SKILL_DICTIONARY = data.skillDictionary;
+                fillSelects(COMPARE_RUN_DATA, playerSelect, gateSelect);
+                showStatus("Run B loaded. Please select player B and gate B.", false);
+            } catch (error) {
+                showStatus(\`Error loading run B: \${error.message}\`, true);
+            }
+        }
+
+        function generateComparison() {
+            const playerSelect = document.getElementById('playerSelect');
+            const gateSelect = document.getElementById('gateSelect');
+            const comparePlayerSelect = document.getElementById('comparePlayerSelect');
+            const compareGateSelect = document.getElementById('compareGateSelect');
+
+            const spreadA = getSpread(FULL_RUN_DATA, SKILL_DICTIONARY, playerSelect.value, gateSelect.value);
+            const spreadB = getSpread(
+                COMPARE_RUN_DATA || FULL_RUN_DATA,
+                COMPARE_RUN_DATA ? COMPARE_SKILL_DICTIONARY : SKILL_DICTIONARY,
+                comparePlayerSelect.value,
+                compareGateSelect.value
+            );
+            if (spreadA.error || spreadB.error) {
+                showStatus(\`\${spreadA.error ? 'A' : 'B'}: \${spreadA.error || spreadB.error}\`, true);
+                return;
+            }
+
+            const labelA = \`A: \${selectedText(playerSelect)} (\${selectedText(gateSelect)})\`;
+            const labelB = \`B: \${selectedText(comparePlayerSelect)} (\${selectedText(compareGateSelect)})\`;
+            const comparison = compareSpreads(spreadA.rows, spreadB.rows);
+
+            document.getElementById('comparisonTitle').textContent = \`\${labelA} vs \${labelB}\`;
+            populateComparisonTable(comparison);
+            populateComparisonChart(comparison, labelA, labelB);
+            document.getElementById('comparisonSection').classList.remove('hidden');
+            document.getElementById('statusOutput').classList.add('hidden');
+        }
+
+        function populateComparisonTable(comparison) {
+            const tableBody = document.getElementById('comparisonTableBody');
+            tableBody.innerHTML = '';
+
+            if (comparison.length === 0) {
+                tableBody.innerHTML = '<tr><td colspan="7" class="p-3 text-center text-gray-400">No skill data found.</td></tr>';
+                return;
+            }
+
+            comparison.forEach(skill => {
+                const row = document.createElement('tr');
+                row.className = 'hover:bg-gray-700';
+                const flag = skill.missing_from
+                    ? \` <span class="ml-2 px-2 py-0.5 rounded bg-yellow-900 text-yellow-300 text-xs">only in \${skill.missing_from === 'a' ? 'B' : 'A'}</span>\`
+                    : '';
+                row.innerHTML = \`
+                    <td class="p-3">\${flag}</td>
+                    <td class="p-3 text-right">\${skill.a ? skill.a.percent + '%' : '-'}</td>
+                    <td class="p-3 text-right">\${skill.b ? skill.b.percent + '%' : '-'}</td>
+                    <td class="p-3 text-right \${diffClass(skill.percent_diff)}">\${signed(skill.percent_diff)}</td>
+                    <td class="p-3 text-right">\${skill.a ? skill.a.damage.toLocaleString() : '-'}</td>
+                    <td class="p-3 text-right">\${skill.b ? skill.b.damage.toLocaleString() : '-'}</td>
+                    <td class="p-3 text-right \${diffClass(skill.damage_diff)}">\${signed(skill.damage_diff)}</td>
+                \`;
+                // Skill names come from the run and may contain anything
+                row.cells[0].prepend(skill.name);
+                tableBody.appendChild(row);
+            });
+        }
+
+        function populateComparisonChart(comparison, labelA, labelB) {
+            const ctx = document.getElementById('comparisonChart').getContext('2d');
+            if (comparisonChartInstance) comparisonChartInstance.destroy();
+
+            comparisonChartInstance = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: comparison.map(skill => skill.name),
+                    datasets: [{
+                        label: labelA,
+                        data: comparison.map(skill => skill.a ? skill.a.percent : 0),
+                        backgroundColor: 'rgba(59, 130, 246, 0.7)'
+                    }, {
+                        label: labelB,
+                        data: comparison.map(skill => skill.b ? skill.b.percent : 0),
+                        backgroundColor: 'rgba(234, 179, 8, 0.7)'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false
+                }
+            });
+        }
+
+        async function fetchBenchmark() {
+            const input = document.getElementById('benchmarkRunsInput').value;
+            const gateSelect = document.getElementById('gateSelect');
+            const classSelect = document.getElementById('benchmarkClassSelect');
+
+            const entries = input.split(/[\\s,]+/).filter(Boolean);
+            const runIds = entries.map(parseRunId);
+            const invalid = entries.find((entry, i) => !runIds[i]);
+            if (entries.length === 0 || invalid) {
+                showStatus(invalid ? \`Invalid run URL or ID: \${invalid}\` : "Please enter at least one run URL or ID.", true);
+                return;
+            }
+
+            // Whole run, or the same gate number as the current selection
+            const gate = gateSelect.value === 'all' ? 'total' : findGate(FULL_RUN_DATA, gateSelect.value).gateNum;
+
+            const loading = document.getElementById('loadingIndicator');
+            loading.classList.remove('hidden');
+            try {
+                const response = await fetch(\`/api/benchmark?ids=\${runIds.join(',')}&gate=\${encodeURIComponent(gate)}\`);
+                const data = await response.json();
+                if (!response.ok || data.error) {
+                    throw new Error(data.error || \`Request failed with status \${response.status}\`);
+                }
+                BENCHMARK = data;
+            } catch (error) {
+                showStatus(\`Error building benchmark: \${error.message}\`, true);
+                return;
+            } finally {
+                loading.classList.add('hidden');
+            }
+
+            // Default to the selected player's class when the benchmark has it
+            const playerClassName = playerClass(FULL_RUN_DATA, document.getElementById('playerSelect').value);
+            classSelect.innerHTML = '';
+            BENCHMARK.classes.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.className;
+                option.textContent = \`\${entry.className} (\${entry.sampleSize} players)\`;
+                option.selected = entry.className === playerClassName;
+                classSelect.appendChild(option);
+            });
+
+            const failed = BENCHMARK.failed.length > 0 ? \` \${BENCHMARK.failed.length} run(s) failed to load: \${BENCHMARK.failed.map(f => f.id).join(', ')}.\` : '';
+            showStatus(\`Benchmark built from \${BENCHMARK.loaded} of \${BENCHMARK.requested} runs.\${failed}\`, failed !== '');
+            renderBenchmark();
+        }
+
+        function renderBenchmark() {
+            if (!BENCHMARK) return;
+            const playerSelect = document.getElementById('playerSelect');
+            const gateSelect = document.getElementById('gateSelect');
+            const className = document.getElementById('benchmarkClassSelect').value;
+            const benchmarkClass = BENCHMARK.classes.find(entry => entry.className === className);
+            const tableBody = document.getElementById('benchmarkTableBody');
+            tableBody.innerHTML = '';
+
+            if (!benchmarkClass) {
+                tableBody.innerHTML = '<tr><td colspan="6" class="p-3 text-center text-gray-400">No players found in these runs.</td></tr>';
+                document.getElementById('benchmarkSection').classList.remove('hidden');
+                return;
+            }
+
+            // The player's own spread for the current selection, keyed by skill ID
+            const spread = getSpread(FULL_RUN_DATA, SKILL_DICTIONARY, playerSelect.value, gateSelect.value);
+            const playerRows = new Map((spread.rows || []).map(row => [String(row.id), row]));
+            const playerLabel = selectedText(playerSelect);
+
+            document.getElementById('benchmarkTitle').textContent =
+                \`\${playerLabel} vs \${benchmarkClass.className} benchmark (\${benchmarkClass.sampleSize} players)\`;
+
+            const skills = benchmarkClass.skills.slice();
+            playerRows.forEach((row, id) => {
+                if (!skills.some(skill => String(skill.id) === id)) {
+                    skills.push({ id: row.id, name: row.name, usage: 0, percent: null });
+                }
+            });
+
+            skills.forEach(skill => {
+                const playerRow = playerRows.get(String(skill.id));
+                const playerPercent = playerRow ? playerRow.percent : 0;
+                let verdict = '<span class="text-gray-500">not in benchmark</span>';
+                if (skill.percent) {
+                    if (playerPercent < skill.percent.q1) verdict = '<span class="text-red-400">below</span>';
+                    else if (playerPercent > skill.percent.q3) verdict = '<span class="text-yellow-300">above</span>';
+                    else verdict = '<span class="text-green-400">within</span>';
+                }
+
                 const row = document.createElement('tr');
                 row.className = 'hover:bg-gray-700';
                 row.innerHTML = \`
-                    <td class_name="p-3">\${skill.name}</td>
-                    <td class="p
+                    <td class="p-3"></td>
+                    <td class="p-3 text-right">\${skill.usage}%</td>
+                    <td class="p-3 text-right">\${skill.percent ? skill.percent.median + '%' : '-'}</td>
+                    <td class="p-3 text-right">\${skill.percent ? \`\${skill.percent.q1}% - \${skill.percent.q3}%\` : '-'}</td>
+                    <td class="p-3 text-right">\${playerRow ? playerPercent + '%' : '-'}</td>
+                    <td class="p-3 text-center">\${verdict}</td>
+                \`;
+                // Skill names come from the runs and may contain anything
+                row.cells[0].textContent = skill.name;
+                tableBody.appendChild(row);
+            });
+
+            const ctx = document.getElementById('benchmarkChart').getContext('2d');
+            if (benchmarkChartInstance) benchmarkChartInstance.destroy();
+            benchmarkChartInstance = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: skills.map(skill => skill.name),
+                    datasets: [{
+                        // Floating bars from Q1 to Q3 draw the benchmark band
+                        label: 'Benchmark Q1 - Q3',
+                        data: skills.map(skill => skill.percent ? [skill.percent.q1, skill.percent.q3] : null),
+                        backgroundColor: 'rgba(107, 114, 128, 0.5)'
+                    }, {
+                        type: 'line',
+                        label: 'Benchmark median',
+                        data: skills.map(skill => skill.percent ? skill.percent.median : null),
+                        showLine: false,
+                        pointStyle: 'line',
+                        pointRadius: 12,
+                        borderColor: 'rgba(229, 231, 235, 0.9)'
+                    }, {
+                        type: 'line',
+                        label: playerLabel,
+                        data: skills.map(skill => playerRows.has(String(skill.id)) ? playerRows.get(String(skill.id)).percent : 0),
+                        showLine: false,
+                        pointRadius: 6,
+                        backgroundColor: 'rgba(59, 130, 246, 1)',
+                        borderColor: 'rgba(59, 130, 246, 1)'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false
+                }
+            });
+
+            document.getElementById('benchmarkSection').classList.remove('hidden');
+        }
+
+        // --- Player Progression ---
+
+        async function fetchProgression() {
+            const player = document.getElementById('progressionPlayerInput').value.trim();
+            const dungeon = document.getElementById('progressionDungeonInput').value.trim();
+            const entries = document.getElementById('progressionRunsInput').value.split(/[\\s,]+/).filter(Boolean);
+            const runIds = entries.map(parseRunId);
+            const invalid = entries.find((entry, i) => !runIds[i]);
+            if (!player || invalid) {
+                showStatus(invalid ? \`Invalid run URL or ID: \${invalid}\` : "Please enter a player name.", true);
+                return;
+            }
+
+            const params = new URLSearchParams({ player });
+            if (dungeon) params.set('dungeon', dungeon);
+            if (runIds.length > 0) params.set('ids', runIds.join(','));
+
+            const loading = document.getElementById('loadingIndicator');
+            loading.classList.remove('hidden');
+            let progression;
+            try {
+                const response = await fetch(\`/api/progression?\${params}\`);
+                progression = await response.json();
+                if (!response.ok || progression.error) {
+                    throw new Error(progression.error || \`Request failed with status \${response.status}\`);
+                }
+            } catch (error) {
+                showStatus(\`Error building progression: \${error.message}\`, true);
+                return;
+            } finally {
+                loading.classList.add('hidden');
+            }
+
+            const failed = progression.failed.length > 0 ? \` \${progression.failed.length} run(s) failed to load: \${progression.failed.map(f => f.id).join(', ')}.\` : '';
+            showStatus(\`Found \${progression.player} in \${progression.points.length} of \${progression.loaded} runs.\${failed}\`, failed !== '');
+            renderProgression(progression);
+        }
+
+        function renderProgression(progression) {
+            const section = document.getElementById('progressionSection');
+            if (progression.points.length === 0) {
+                section.classList.add('hidden');
+                return;
+            }
+
+            const dungeonLabel = progression.dungeon ? \` in \${progression.dungeon}\` : '';
+            document.getElementById('progressionTitle').textContent =
+                \`\${progression.player}\${dungeonLabel} over \${progression.points.length} runs\`;
+
+            const labels = progression.points.map(point =>
+                point.date ? \`\${new Date(point.date).toLocaleDateString()} (\${point.runId})\` : point.runId);
+
+            const ctx = document.getElementById('progressionChart').getContext('2d');
+            if (progressionChartInstance) progressionChartInstance.destroy();
+            progressionChartInstance = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: labels,
+                    datasets: [{
+                        label: 'Total Damage',
+                        data: progression.points.map(point => point.totalDamage),
+                        borderColor: 'rgba(59, 130, 246, 1)',
+                        backgroundColor: 'rgba(59, 130, 246, 0.6)',
+                        yAxisID: 'y'
+                    }, {
+                        label: 'Crit Rate (%)',
+                        data: progression.points.map(point => point.crit_rate),
+                        borderColor: 'rgba(234, 179, 8, 1)',
+                        backgroundColor: 'rgba(234, 179, 8, 0.6)',
+                        yAxisID: 'crit'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: { beginAtZero: true, title: { display: true, text: 'Damage' } },
+                        crit: { position: 'right', beginAtZero: true, max: 100, grid: { drawOnChartArea: false }, title: { display: true, text: 'Crit %' } }
+                    }
+                }
+            });
+
+            // One line per top skill; a run where the skill was not used counts as 0%
+            const skillCtx = document.getElementById('progressionSkillChart').getContext('2d');
+            if (progressionSkillChartInstance) progressionSkillChartInstance.destroy();
+            progressionSkillChartInstance = new Chart(skillCtx, {
+                type: 'line',
+                data: {
+                    labels: labels,
+                    datasets: progression.topSkills.map((skill, i) => {
+                        const color = \`hsl(\${Math.round((i * 360) / progression.topSkills.length)}, 70%, 60%)\`;
+                        return {
+                            label: skill.name,
+                            data: progression.points.map(point => point.skills[skill.id] ? point.skills[skill.id].percent : 0),
+                            borderColor: color,
+                            backgroundColor: color
+                        };
+                    })
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: { y: { beginAtZero: true, title: { display: true, text: '% of Damage' } } }
+                }
+            });
+
+            const tableBody = document.getElementById('progressionTableBody');
+            tableBody.innerHTML = '';
+            if (progression.deltas.length === 0) {
+                tableBody.innerHTML = '<tr><td colspan="4" class="p-3 text-center text-gray-400">Only one run found, nothing to compare yet.</td></tr>';
+            }
+            progression.deltas.forEach(delta => {
+                const shifts = delta.skills.filter(skill => skill.percent !== 0).slice(0, 3);
+                const row = document.createElement('tr');
+                row.className = 'hover:bg-gray-700';
+                row.innerHTML = \`
+                    <td class="p-3 font-mono">\${delta.fromRunId} &rarr; \${delta.toRunId}</td>
+                    <td class="p-3 text-right \${diffClass(delta.totalDamage)}">\${signed(delta.totalDamage)}</td>
+                    <td class="p-3 text-right \${diffClass(delta.crit_rate)}">\${signed(delta.crit_rate)}</td>
+                    <td class="p-3">\${shifts.length === 0 ? '<span class="text-gray-500">no change</span>' : ''}</td>
+                \`;
+                // Skill names come from the runs and may contain anything
+                shifts.forEach((skill, i) => {
+                    const shift = document.createElement('span');
+                    shift.className = diffClass(skill.percent);
+                    shift.textContent = \`\${skill.name} \${signed(skill.percent)}\`;
+                    if (i > 0) row.cells[3].append(', ');
+                    row.cells[3].appendChild(shift);
+                });
+                tableBody.appendChild(row);
+            });
+
+            section.classList.remove('hidden');
+        }
+
+        // --- Saved Runs ---
+
+        async function loadHistory() {
+            const tableBody = document.getElementById('historyTableBody');
+            let runs;
+            let canDelete;
+            try {
+                const response = await fetch('/api/runs');
+                const data = await response.json();
+                if (!response.ok || data.error) {
+                    throw new Error(data.error || \`Request failed with status \${response.status}\`);
+                }
+                runs = data.runs;
+                canDelete = data.canDelete;
+            } catch (error) {
+                tableBody.innerHTML = \`<tr><td colspan="4" class="p-3 text-center text-red-400">Could not load saved runs: \${error.message}</td></tr>\`;
+                return;
+            }
+
+            tableBody.innerHTML = '';
+            if (runs.length === 0) {
+                tableBody.innerHTML = '<tr><td colspan="4" class="p-3 text-center text-gray-400">No saved runs yet.</td></tr>';
+                return;
+            }
+
+            runs.forEach(run => {
+                const row = document.createElement('tr');
+                row.className = 'hover:bg-gray-700';
+                row.innerHTML = \`
+                    <td class="p-3 font-mono">\${run.id}</td>
+                    <td class="p-3">\${new Date(run.savedAt).toLocaleString()}</td>
+                    <td class="p-3"></td>
+                    <td class="p-3 text-right whitespace-nowrap">
+                        <button data-action="load" class="text-blue-400 hover:underline mr-3">Load</button>
+                        <button data-action="refresh" class="text-blue-400 hover:underline mr-3">Re-fetch</button>
+                        \${canDelete ? '<button data-action="delete" class="text-red-400 hover:underline">Delete</button>' : ''}
+                    </td>
+                \`;
+                // Names come from the run and may contain anything
+                row.cells[2].textContent = run.players.join(', ');
+                row.querySelector('[data-action="load"]').addEventListener('click', () => loadSavedRun(run.id, false));
+                row.querySelector('[data-action="refresh"]').addEventListener('click', () => loadSavedRun(run.id, true));
+                if (canDelete) row.querySelector('[data-action="delete"]').addEventListener('click', () => deleteSavedRun(run.id));
+                tableBody.appendChild(row);
+            });
+        }
+
+        function loadSavedRun(runId, refresh) {
+            document.getElementById('fatduckUrlInput').value = \`https://fatduckdn.com/runs/\${runId}\`;
+            return fetchRunInfo({ refresh });
+        }
+
+        // Deleting needs the server's admin token, asked for once per browser tab
+        async function deleteSavedRun(runId) {
+            if (!confirm(\`Delete the saved copy of run \${runId}?\`)) return;
+            const token = sessionStorage.getItem('adminToken') || prompt('Admin token for deleting saved runs:');
+            if (!token) return;
+            const response = await fetch(\`/api/runs/\${runId}\`, {
+                method: 'DELETE',
+                headers: { Authorization: \`Bearer \${token}\` }
+            });
+            if (response.status === 401) {
+                sessionStorage.removeItem('adminToken');
+            } else {
+                sessionStorage.setItem('adminToken', token);
+            }
+            if (!response.ok && response.status !== 404) {
+                showStatus(\`Could not delete run \${runId} (status \${response.status})\`, true);
+            }
+            loadHistory();
+        }
+
+        // --- Permalinks ---
+        // /runs/<id>/<player>/<gate> (or /?run=<id>&player=<player>&gate=<gate>) restores a selection.
+        // The player is stored by ID (names work too), the gate by number or 'all'.
+
+        let restoringPermalink = false;
+
+        function readPermalink() {
+            const match = location.pathname.match(/^\\/runs\\/(\\d+)(?:\\/([^/]+))?(?:\\/([^/]+))?\\/?$/);
+            if (match) {
+                return {
+                    run: match[1],
+                    player: match[2] ? decodeURIComponent(match[2]) : null,
+                    gate: match[3] ? decodeURIComponent(match[3]) : null
+                };
+            }
+            const params = new URLSearchParams(location.search);
+            return { run: parseRunId(params.get('run')), player: params.get('player'), gate: params.get('gate') };
+        }
+
+        // Runs loaded from a file have no fatduck ID, so they get no permalink
+        function updatePermalink(withSelection) {
+            if (!/^\\d+$/.test(String(CURRENT_RUN_ID))) return;
+
+            let path = \`/runs/\${CURRENT_RUN_ID}\`;
+            if (withSelection) {
+                const gateId = document.getElementById('gateSelect').value;
+                const gate = gateId === 'all' ? 'all' : findGate(FULL_RUN_DATA, gateId).gateNum;
+                path += \`/\${encodeURIComponent(document.getElementById('playerSelect').value)}/\${encodeURIComponent(gate)}\`;
+            }
+            if (location.pathname === path) return;
+            // A new run gets its own history entry; selection changes and restores just rewrite the current one
+            if (withSelection || restoringPermalink) {
+                history.replaceState(null, '', path);
+            } else {
+                history.pushState(null, '', path);
+            }
+        }
+
+        // Picks the option whose value or text matches (case-insensitive), returns false if none does
+        function selectOption(select, matches) {
+            const option = Array.from(select.options).find(matches);
+            if (option) select.value = option.value;
+            return Boolean(option);
+        }
+
+        async function applyPermalink() {
+            const { run, player, gate } = readPermalink();
+            if (!run) return;
+
+            restoringPermalink = true;
+            try {
+                await restoreSelection(run, player, gate);
+            } finally {
+                restoringPermalink = false;
+            }
+        }
+
+        async function restoreSelection(run, player, gate) {
+            if (String(CURRENT_RUN_ID) !== run) {
+                document.getElementById('fatduckUrlInput').value = \`https://fatduckdn.com/runs/\${run}\`;
+                if (!await fetchRunInfo()) return;
+            }
+            if (!player) return;
+
+            const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+            const playerFound = selectOption(document.getElementById('playerSelect'),
+                option => option.value === player || sameText(option.textContent, player));
+            const gateFound = !gate || selectOption(document.getElementById('gateSelect'), option => {
+                if (option.value === 'all') return sameText(gate, 'all');
+                const runGate = findGate(FULL_RUN_DATA, option.value);
+                return option.value === gate || String(runGate.gateNum) === gate;
+            });
+            if (!playerFound || !gateFound) {
+                showStatus(\`The link points to \${playerFound ? 'a gate' : 'a player'} that is not in this run.\`, true);
+                return;
+            }
+            generateCleanJson();
+        }
+
+        // Re-render (and update the link) when the selection changes after a spread is shown
+        function onSelectionChange() {
+            if (!document.getElementById('outputSection').classList.contains('hidden')) {
+                generateCleanJson();
+            }
+            if (!document.getElementById('partySection').classList.contains('hidden')) {
+                showPartyOverview();
+            }
+        }
+
+        document.getElementById('fetchDataButton').addEventListener('click', () => fetchRunInfo());
+        document.getElementById('runFileInput').addEventListener('change', loadRunFile);
+        document.getElementById('generateJsonButton').addEventListener('click', generateCleanJson);
+        document.getElementById('partyButton').addEventListener('click', showPartyOverview);
+        ['chartTypeSelect', 'chartModeSelect', 'otherThresholdInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                if (CURRENT_EXPORT && CURRENT_EXPORT.rows.length > 0) populateChart(CURRENT_EXPORT.rows);
+            });
+        });
+        document.getElementById('skillFilterInput').addEventListener('input', renderTable);
+        document.querySelectorAll('#outputTableHead th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => sortTable(th.dataset.sort));
+        });
+        document.getElementById('loadCompareRunButton').addEventListener('click', loadCompareRun);
+        document.getElementById('compareButton').addEventListener('click', generateComparison);
+        document.getElementById('benchmarkButton').addEventListener('click', fetchBenchmark);
+        document.getElementById('exportCsvButton').addEventListener('click', exportCsv);
+        document.getElementById('exportMarkdownButton').addEventListener('click', exportMarkdown);
+        document.getElementById('copyDiscordButton').addEventListener('click', copyDiscord);
+        document.getElementById('exportPngButton').addEventListener('click', exportPng);
+        document.getElementById('benchmarkClassSelect').addEventListener('change', renderBenchmark);
+        document.getElementById('progressionButton').addEventListener('click', fetchProgression);
+        document.getElementById('playerSelect').addEventListener('change', onSelectionChange);
+        document.getElementById('gateSelect').addEventListener('change', onSelectionChange);
+        window.addEventListener('popstate', applyPermalink);
+        loadHistory();
+        loadRules().then(applyPermalink);
+    </script>
+</body>
+</html>
+`;
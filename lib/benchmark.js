@@ -0,0 +1,123 @@
+/**
+ * Class Benchmark
+ *
+ * Aggregates the skill spreads of many players of the same class across many
+ * runs into per-skill distribution statistics ("what does a typical spread
+ * look like?"):
+ * {
+ * "classes": [{
+ *   "className": "Shadow",
+ *   "sampleSize": 12,
+ *   "players": [{ "runId": "...", "id": 1, "name": "..." }],
+ *   "skills": [{ "id": 6802, "name": "Pursuer (Shadow)", "usage": 100,
+ *                "percent": { "min", "q1", "median", "q3", "max", "mean" },
+ *                "crit_rate": { ...same... } }]
+ * }]
+ * }
+ *
+ * A player who never used a skill counts as 0% for it, so the band reflects
+ * how often the skill shows up, not only how hard it hits when it does.
+ * `usage` is the percentage of players who used the skill at all.
+ */
+
+import { aggregatePlayerRun, buildSkillRows, findPlayer, playerClass, playerName } from './spread.js';
+
+/**
+ * Quantile of an already sorted array, with linear interpolation between ranks.
+ */
+export function quantile(sorted, q) {
+    if (sorted.length === 0) return 0;
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+export function describe(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const round = value => parseFloat(value.toFixed(1));
+    return {
+        min: round(sorted[0] || 0),
+        q1: round(quantile(sorted, 0.25)),
+        median: round(quantile(sorted, 0.5)),
+        q3: round(quantile(sorted, 0.75)),
+        max: round(sorted[sorted.length - 1] || 0),
+        mean: round(sorted.reduce((a, b) => a + b, 0) / (sorted.length || 1))
+    };
+}
+
+/**
+ * One sample per player per run. `gate` is 'total' for the whole run, or a
+ * gate number (gate IDs differ between runs, gate numbers line up).
+ */
+function collectSamples(runs, gate) {
+    const samples = [];
+    runs.forEach(({ id: runId, runData, skillDictionary }) => {
+        (runData.players || []).forEach(player => {
+            let rows;
+            if (gate === 'total') {
+                rows = aggregatePlayerRun(runData, player.id, skillDictionary).skills;
+            } else {
+                const runGate = (runData.gates || []).find(g => String(g.gateNum) === String(gate));
+                const gatePlayer = runGate && findPlayer(runGate, player.id);
+                rows = gatePlayer ? buildSkillRows(gatePlayer, skillDictionary) : [];
+            }
+            if (rows.length === 0) return; // Did not deal damage here, nothing to learn from
+
+            samples.push({
+                runId: runId,
+                id: player.id,
+                name: playerName(runData, player.id),
+                className: playerClass(runData, player.id),
+                rows: rows
+            });
+        });
+    });
+    return samples;
+}
+
+/**
+ * Builds the benchmark from loaded runs ([{ id, runData, skillDictionary }]).
+ * Pass `className` to only keep one class.
+ */
+export function buildBenchmark(runs, { gate = 'total', className = null } = {}) {
+    const byClass = new Map();
+    collectSamples(runs, gate).forEach(sample => {
+        if (className && sample.className.toLowerCase() !== String(className).toLowerCase()) return;
+        if (!byClass.has(sample.className)) byClass.set(sample.className, []);
+        byClass.get(sample.className).push(sample);
+    });
+
+    const classes = Array.from(byClass, ([name, samples]) => {
+        const skills = new Map(); // skill ID -> { name, percents, critRates }
+        samples.forEach(sample => {
+            sample.rows.forEach(row => {
+                if (!skills.has(String(row.id))) {
+                    skills.set(String(row.id), { id: row.id, name: row.name, percents: [], critRates: [] });
+                }
+                const skill = skills.get(String(row.id));
+                skill.percents.push(row.percent);
+                skill.critRates.push(row.crit_rate);
+            });
+        });
+
+        return {
+            className: name,
+            sampleSize: samples.length,
+            players: samples.map(({ runId, id, name: player }) => ({ runId, id, name: player })),
+            skills: Array.from(skills.values()).map(skill => {
+                // Players who never used the skill count as 0%
+                const zeros = new Array(samples.length - skill.percents.length).fill(0);
+                return {
+                    id: skill.id,
+                    name: skill.name,
+                    usage: parseFloat(((skill.percents.length / samples.length) * 100).toFixed(1)),
+                    percent: describe(skill.percents.concat(zeros)),
+                    crit_rate: describe(skill.critRates)
+                };
+            }).sort((a, b) => b.percent.median - a.percent.median || b.percent.mean - a.percent.mean)
+        };
+    }).sort((a, b) => b.sampleSize - a.sampleSize);
+
+    return { gate: gate, classes: classes };
+}
@@ -0,0 +1,23 @@
+/**
+ * Data Paths
+ *
+ * Default locations for what the server writes to disk (the skill name cache,
+ * saved runs) when no environment variable names one. Vercel only allows
+ * writes to /tmp, so deployed they go there; locally they live in the repo,
+ * resolved from this file, so the server and CLI share them wherever they
+ * are started from.
+ */
+
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * The default path for `repoPath` (relative to the repo root, e.g.
+ * ".cache/skill-names.json"). On Vercel it is the same file or directory
+ * name under /tmp.
+ */
+export function defaultDataPath(repoPath) {
+    if (process.env.VERCEL) return join(tmpdir(), basename(repoPath));
+    return fileURLToPath(new URL(`../${repoPath}`, import.meta.url));
+}
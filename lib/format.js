@@ -0,0 +1,138 @@
+/**
+ * Output Formats
+ *
+ * Renders cleaned skill rows (see lib/spread.js) as text for terminals,
+ * spreadsheets, Discord and guild docs. Free of Node imports so the page can
+ * use it too (served as /lib/format.js).
+ *
+ * Exports carry a header describing what they are:
+ * { runId, player, gate, totalDamage }
+ */
+
+const COLUMNS = [
+    { key: 'name', label: 'Skill Name' },
+    { key: 'damage', label: 'Damage', align: 'right', format: value => value.toLocaleString('en-US') },
+    { key: 'percent', label: 'Percent', align: 'right', format: value => `${value}%` },
+    { key: 'crit_hits', label: 'Crit/Hits', align: 'right' },
+    { key: 'crit_rate', label: 'Crit Rate', align: 'right', format: value => `${value}%` }
+];
+
+function cellText(column, row) {
+    const value = row[column.key];
+    return column.format ? column.format(value) : String(value);
+}
+
+/**
+ * Plain-text table with aligned columns, like the page's data table.
+ */
+export function toTextTable(rows) {
+    if (rows.length === 0) return 'No skill data found.';
+
+    const cells = rows.map(row => COLUMNS.map(column => cellText(column, row)));
+    const widths = COLUMNS.map((column, i) => Math.max(column.label.length, ...cells.map(line => line[i].length)));
+    const renderLine = values => values
+        .map((value, i) => COLUMNS[i].align === 'right' ? value.padStart(widths[i]) : value.padEnd(widths[i]))
+        .join('  ')
+        .trimEnd();
+
+    return [
+        renderLine(COLUMNS.map(column => column.label)),
+        renderLine(widths.map(width => '-'.repeat(width))),
+        ...cells.map(renderLine)
+    ].join('\n');
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with raw numbers (no thousands separators or % signs) so spreadsheets can sum them.
+ */
+export function toCsv(rows) {
+    const keys = COLUMNS.map(column => column.key);
+    const lines = rows.map(row => keys.map(key => csvField(row[key])).join(','));
+    lines.unshift(keys.join(','));
+    return lines.join('\n');
+}
+
+/**
+ * Flattens a spread from /api/spread into one section per player per gate:
+ * [{ player, gate, totalDamage, rows }]. Handles both the per-gate shape and
+ * the whole-run (gate=total) shape.
+ */
+export function spreadSections(spread) {
+    if (spread.players) {
+        return spread.players.map(player => ({
+            player: player.name,
+            gate: 'All gates',
+            totalDamage: player.totalDamage,
+            rows: player.skills
+        }));
+    }
+    return spread.gates.flatMap(gate => gate.players.map(player => ({
+        player: player.name,
+        gate: `${gate.gateNum}: ${gate.name}`,
+        totalDamage: player.totalDamage,
+        rows: player.skills
+    })));
+}
+
+// `raw` keeps the total damage as a plain number for spreadsheets
+function headerLines(meta, { raw = false } = {}) {
+    return [
+        ['Run ID', meta.runId],
+        ['Player', meta.player],
+        ['Gate', meta.gate],
+        ['Total Damage', raw ? meta.totalDamage : meta.totalDamage.toLocaleString('en-US')]
+    ];
+}
+
+/**
+ * CSV export: the header as "key,value" lines, a blank line, then the rows.
+ */
+export function toCsvExport(rows, meta) {
+    const header = headerLines(meta, { raw: true }).map(line => line.map(csvField).join(','));
+    return `${header.join('\n')}\n\n${toCsv(rows)}`;
+}
+
+function markdownCell(text) {
+    return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * GitHub-flavoured Markdown table, for guild docs and wikis.
+ */
+export function toMarkdown(rows, meta) {
+    const header = headerLines(meta).map(([key, value]) => `**${key}:** ${markdownCell(value)}`).join('  \n');
+    if (rows.length === 0) return `${header}\n\nNo skill data found.`;
+
+    const lines = [
+        `| ${COLUMNS.map(column => column.label).join(' | ')} |`,
+        `| ${COLUMNS.map(column => column.align === 'right' ? '---:' : '---').join(' | ')} |`,
+        ...rows.map(row => `| ${COLUMNS.map(column => markdownCell(cellText(column, row))).join(' | ')} |`)
+    ];
+    return `${header}\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Discord does not render Markdown tables, so this wraps the aligned text
+ * table in a code block under a one-line bold header.
+ */
+export function toDiscord(rows, meta) {
+    const header = headerLines(meta).map(([key, value]) => `${key}: ${value}`).join(' | ');
+    return `**${header}**\n\`\`\`\n${toTextTable(rows)}\n\`\`\``;
+}
+
+export const EXPORT_FORMATS = ['csv', 'markdown', 'discord'];
+
+/**
+ * Renders every section of a spread in one of EXPORT_FORMATS, each with its own header.
+ */
+export function exportSpread(runId, spread, format) {
+    const render = { csv: toCsvExport, markdown: toMarkdown, discord: toDiscord }[format];
+    return spreadSections(spread)
+        .map(section => render(section.rows, { runId, player: section.player, gate: section.gate, totalDamage: section.totalDamage }))
+        .join('\n\n');
+}
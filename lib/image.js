@@ -0,0 +1,237 @@
+/**
+ * Spread Images
+ *
+ * Renders a spread as a PNG on the server, for `format=png` on /api/spread
+ * and the CLI. The page draws its own PNG from the live chart; this is the
+ * same layout (header, bar chart, table) without a browser or canvas package:
+ * a plain RGB pixel buffer, a built-in 5x7 pixel font and zlib for the PNG.
+ *
+ * Node-only (zlib), so it is not one of the browser modules.
+ */
+
+import { deflateSync } from 'zlib';
+import { spreadSections } from './format.js';
+
+// --- CONFIGURATION ---
+const WIDTH = 1000;
+const PADDING = 24;
+const ROW_HEIGHT = 24;
+// Whole-run exports of every player and gate get tall; past this the caller should narrow them down
+const MAX_HEIGHT = 12000;
+
+const COLORS = {
+    background: [17, 24, 39], // Tailwind gray-900, like the page
+    text: [255, 255, 255],
+    muted: [156, 163, 175],
+    bar: [59, 130, 246],
+    track: [55, 65, 81]
+};
+
+// 5x7 font for ASCII 0x20-0x7E: five column bytes per glyph, bit 0 is the top row
+const FONT = [
+    '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649552250', '0005030000',
+    '001c224100', '0041221c00', '082a1c2a08', '08083e0808', '0050300000', '0808080808', '0060600000', '2010080402',
+    '3e5149453e', '00427f4000', '4261514946', '2141454b31', '1814127f10', '2745454539', '3c4a494930', '0171090503',
+    '3649494936', '064949291e', '0036360000', '0056360000', '0814224100', '1414141414', '0041221408', '0201510906',
+    '324979413e', '7e1111117e', '7f49494936', '3e41414122', '7f4141221c', '7f49494941', '7f09090101', '3e41415132',
+    '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f0204027f', '7f0408107f', '3e4141413e',
+    '7f09090906', '3e4151215e', '7f09192946', '4649494931', '01017f0101', '3f4040403f', '1f2040201f', '7f2018207f',
+    '6314081463', '0304780403', '6151494543', '007f414100', '0204081020', '0041417f00', '0402010204', '4040404040',
+    '0001020400', '2054545478', '7f48444438', '3844444420', '384444487f', '3854545418', '087e090102', '0c5252523e',
+    '7f08040478', '00447d4000', '2040443d00', '007f102844', '00417f4000', '7c04180478', '7c08040478', '3844444438',
+    '7c14141408', '081414187c', '7c08040408', '4854545420', '043f444020', '3c4040207c', '1c2040201c', '3c4030403c',
+    '4428102844', '0c5050503c', '4464544c44', '0008364100', '00007f0000', '0041360800', '0201020402'
+];
+const UNKNOWN_GLYPH = '7f4141417f'; // A box for anything outside the font
+
+function glyph(char) {
+    const code = char.charCodeAt(0);
+    return FONT[code - 0x20] || UNKNOWN_GLYPH;
+}
+
+function createImage(width, height, color) {
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < pixels.length; i += 3) {
+        pixels[i] = color[0];
+        pixels[i + 1] = color[1];
+        pixels[i + 2] = color[2];
+    }
+    return { width, height, pixels };
+}
+
+function fillRect(image, x, y, width, height, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(image.width, Math.round(x + width));
+    const y1 = Math.min(image.height, Math.round(y + height));
+    for (let row = y0; row < y1; row++) {
+        for (let column = x0; column < x1; column++) {
+            const i = (row * image.width + column) * 3;
+            image.pixels[i] = color[0];
+            image.pixels[i + 1] = color[1];
+            image.pixels[i + 2] = color[2];
+        }
+    }
+}
+
+// Each glyph is 6 font pixels wide (5 + spacing), drawn `scale` screen pixels per font pixel
+function textWidth(text, scale) {
+    return text.length * 6 * scale;
+}
+
+function drawText(image, text, x, y, { color = COLORS.text, scale = 2, align = 'left' } = {}) {
+    let left = align === 'right' ? x - textWidth(text, scale) : x;
+    Array.from(text).forEach(char => {
+        const columns = glyph(char);
+        for (let column = 0; column < 5; column++) {
+            const bits = parseInt(columns.slice(column * 2, column * 2 + 2), 16);
+            for (let row = 0; row < 7; row++) {
+                if (bits & (1 << row)) {
+                    fillRect(image, left + column * scale, y + row * scale, scale, scale, color);
+                }
+            }
+        }
+        left += 6 * scale;
+    });
+}
+
+// Cuts text to fit `width` pixels, marking the cut with ".."
+function fitText(text, width, scale) {
+    const maxChars = Math.floor(width / (6 * scale));
+    return text.length <= maxChars ? text : `${text.slice(0, Math.max(0, maxChars - 2))}..`;
+}
+
+// --- PNG ENCODING ---
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePng({ width, height, pixels }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Color type: RGB
+
+    // Every scanline starts with filter type 0 (none)
+    const stride = width * 3;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let row = 0; row < height; row++) {
+        pixels.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// --- LAYOUT ---
+// Same columns as the page's PNG export
+const TABLE_COLUMNS = [
+    { label: 'Skill Name', x: PADDING, align: 'left', value: row => row.name },
+    { label: 'Damage', x: 580, align: 'right', value: row => row.damage.toLocaleString('en-US') },
+    { label: 'Percent', x: 700, align: 'right', value: row => `${row.percent}%` },
+    { label: 'Crit/Hits', x: 840, align: 'right', value: row => String(row.crit_hits) },
+    { label: 'Crit Rate', x: WIDTH - PADDING, align: 'right', value: row => `${row.crit_rate}%` }
+];
+const LABEL_WIDTH = 300; // Skill names left of the bars
+const BAR_LEFT = PADDING + LABEL_WIDTH + 12;
+const BAR_WIDTH = WIDTH - BAR_LEFT - PADDING - 80; // Room for the percent after the bar
+
+function sectionHeight(section) {
+    const header = ROW_HEIGHT * 2 + PADDING;
+    if (section.rows.length === 0) return header + ROW_HEIGHT + PADDING;
+    // Chart rows, then the table's label row and rows
+    return header + section.rows.length * ROW_HEIGHT + PADDING + (section.rows.length + 1) * ROW_HEIGHT + PADDING;
+}
+
+function drawSection(image, section, runId, top) {
+    let y = top;
+
+    // Header: run ID, player, gate and total damage
+    drawText(image, fitText(`${section.player} | ${section.gate}`, WIDTH - PADDING * 2, 3), PADDING, y, { scale: 3 });
+    y += ROW_HEIGHT + 6;
+    drawText(image, `Run ${runId} | Total damage ${section.totalDamage.toLocaleString('en-US')}`, PADDING, y, { color: COLORS.muted });
+    y += ROW_HEIGHT + PADDING - 6;
+
+    if (section.rows.length === 0) {
+        drawText(image, 'No skill data found.', PADDING, y, { color: COLORS.muted });
+        return;
+    }
+
+    // Chart: one bar per skill, scaled to the biggest share
+    const maxPercent = Math.max(...section.rows.map(row => row.percent), 1);
+    section.rows.forEach(row => {
+        drawText(image, fitText(row.name, LABEL_WIDTH, 2), PADDING, y + 5);
+        fillRect(image, BAR_LEFT, y + 4, BAR_WIDTH, ROW_HEIGHT - 8, COLORS.track);
+        const barWidth = Math.max(1, (row.percent / maxPercent) * BAR_WIDTH);
+        fillRect(image, BAR_LEFT, y + 4, barWidth, ROW_HEIGHT - 8, COLORS.bar);
+        drawText(image, `${row.percent}%`, BAR_LEFT + BAR_WIDTH + 8, y + 5, { color: COLORS.muted });
+        y += ROW_HEIGHT;
+    });
+    y += PADDING;
+
+    // Table: same columns as the page
+    const nameWidth = TABLE_COLUMNS[1].x - PADDING - textWidth('0,000,000,000', 2) - 12;
+    TABLE_COLUMNS.forEach(column => drawText(image, column.label, column.x, y + 5, { color: COLORS.muted, align: column.align }));
+    y += ROW_HEIGHT;
+    section.rows.forEach(row => {
+        TABLE_COLUMNS.forEach((column, i) => {
+            const text = i === 0 ? fitText(column.value(row), nameWidth, 2) : column.value(row);
+            drawText(image, text, column.x, y + 5, { align: column.align });
+        });
+        y += ROW_HEIGHT;
+    });
+}
+
+/**
+ * A spread with too many rows for one image. `status` is what our API should answer.
+ */
+export class ImageSizeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageSizeError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Renders every section of a spread (see spreadSections in lib/format.js)
+ * into one PNG, stacked top to bottom, and returns it as a Buffer. Throws an
+ * ImageSizeError when the image would be taller than MAX_HEIGHT.
+ */
+export function exportSpreadPng(runId, spread) {
+    const sections = spreadSections(spread);
+    const height = PADDING + sections.reduce((sum, section) => sum + sectionHeight(section), 0);
+    if (height > MAX_HEIGHT) {
+        throw new ImageSizeError(`The image would be ${height}px tall (at most ${MAX_HEIGHT}px). Pick a single player or gate.`);
+    }
+
+    const image = createImage(WIDTH, height, COLORS.background);
+    let top = PADDING;
+    sections.forEach(section => {
+        drawSection(image, section, runId, top);
+        top += sectionHeight(section);
+    });
+    return encodePng(image);
+}
@@ -0,0 +1,121 @@
+/**
+ * Player Progression
+ *
+ * Follows one player across many runs (oldest first) to show whether a
+ * rotation change actually moved their spread:
+ * {
+ * "player": "Nightshade",
+ * "points": [{ "runId", "date", "dungeon", "totalDamage", "crit_rate",
+ *              "skills": { "6802": { "name", "damage", "percent", "crit_rate" } } }],
+ * "deltas": [{ "fromRunId", "toRunId", "totalDamage", "crit_rate",
+ *              "skills": [{ "id", "name", "percent", "crit_rate" }] }],
+ * "topSkills": [{ "id", "name" }]
+ * }
+ *
+ * Each point is the player's whole-run spread. Players are matched by name,
+ * since their IDs are not guaranteed to stay the same between runs.
+ */
+
+import { aggregatePlayerRun } from './spread.js';
+
+const TOP_SKILL_COUNT = 5;
+
+/**
+ * When the run happened, as ms since epoch. Falls back to `fallback` (e.g. the
+ * snapshot's savedAt) when the run JSON carries no usable date.
+ */
+export function runDate(runData, fallback = null) {
+    const value = runData.startedAt || runData.startTime || runData.date || runData.createdAt;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : fallback;
+}
+
+/**
+ * The dungeon's name as far as the run JSON tells, or null.
+ */
+export function runDungeon(runData) {
+    const dungeon = runData.dungeon;
+    const value = (dungeon && typeof dungeon === 'object' ? dungeon.name : dungeon) || runData.dungeonName || runData.mapName;
+    return value ? String(value) : null;
+}
+
+function round(value) {
+    return parseFloat(value.toFixed(1));
+}
+
+/**
+ * Builds the timeline from loaded runs ([{ id, runData, skillDictionary, savedAt }]).
+ * `dungeon` keeps only runs of that dungeon (case-insensitive).
+ */
+export function buildProgression(runs, { player, dungeon = null }) {
+    const wanted = String(player).toLowerCase();
+
+    let playerLabel = String(player);
+    const points = [];
+    runs.forEach(({ id: runId, runData, skillDictionary, savedAt }) => {
+        const dungeonName = runDungeon(runData);
+        if (dungeon && String(dungeonName).toLowerCase() !== String(dungeon).toLowerCase()) return;
+
+        const runPlayer = (runData.players || []).find(p => String(p.name).toLowerCase() === wanted);
+        if (!runPlayer) return;
+
+        const playerRun = aggregatePlayerRun(runData, runPlayer.id, skillDictionary);
+        if (playerRun.skills.length === 0) return;
+        playerLabel = playerRun.name;
+
+        const skills = {};
+        playerRun.skills.forEach(row => {
+            skills[row.id] = { name: row.name, damage: row.damage, percent: row.percent, crit_rate: row.crit_rate };
+        });
+        points.push({
+            runId: String(runId),
+            date: runDate(runData, savedAt || null),
+            dungeon: dungeonName,
+            totalDamage: playerRun.totalDamage,
+            crit_rate: playerRun.crit_rate,
+            skills: skills
+        });
+    });
+
+    // Oldest first; runs without any date keep their input order at the end
+    points.sort((a, b) => (a.date ?? Infinity) - (b.date ?? Infinity));
+
+    const deltas = points.slice(1).map((to, i) => {
+        const from = points[i];
+        const skillIds = new Set([...Object.keys(from.skills), ...Object.keys(to.skills)]);
+        const skills = Array.from(skillIds, id => {
+            const before = from.skills[id];
+            const after = to.skills[id];
+            return {
+                id: Number(id),
+                name: (after || before).name,
+                percent: round((after ? after.percent : 0) - (before ? before.percent : 0)),
+                crit_rate: round((after ? after.crit_rate : 0) - (before ? before.crit_rate : 0))
+            };
+        }).sort((a, b) => Math.abs(b.percent) - Math.abs(a.percent));
+
+        return {
+            fromRunId: from.runId,
+            toRunId: to.runId,
+            totalDamage: to.totalDamage - from.totalDamage,
+            crit_rate: round(to.crit_rate - from.crit_rate),
+            skills: skills
+        };
+    });
+
+    // The skills worth a line on the chart: highest average share across all points
+    const averages = new Map();
+    points.forEach(point => {
+        Object.entries(point.skills).forEach(([id, skill]) => {
+            const entry = averages.get(id) || { id: Number(id), name: skill.name, sum: 0 };
+            entry.sum += skill.percent;
+            averages.set(id, entry);
+        });
+    });
+    const topSkills = Array.from(averages.values())
+        .sort((a, b) => b.sum - a.sum)
+        .slice(0, TOP_SKILL_COUNT)
+        .map(({ id, name }) => ({ id, name }));
+
+    return { player: playerLabel, dungeon: dungeon || null, points, deltas, topSkills };
+}
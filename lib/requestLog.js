@@ -0,0 +1,62 @@
+/**
+ * Request Logging
+ *
+ * One JSON line per request on stdout, with every upstream call the request
+ * made and how long it took:
+ * {"time":"2026-01-01T12:00:00.000Z","method":"GET","url":"/api/spread?id=1","status":200,"ms":412,
+ *  "ip":"::1","upstreamMs":380,"upstream":[{"url":"https://...","status":200,"ms":380,"attempts":1}]}
+ *
+ * Upstream calls find their request through AsyncLocalStorage, so lib code can
+ * record them without passing the request around. Set ACCESS_LOG=0 to turn
+ * the lines off.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { performance } from 'perf_hooks';
+
+// --- CONFIGURATION ---
+const ACCESS_LOG = process.env.ACCESS_LOG !== '0';
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Runs `handler` with a fresh log context and writes the log line once the
+ * response is finished (or the client went away).
+ */
+export function withRequestLog(req, res, ip, handler) {
+    const context = { upstream: [], error: null };
+    const started = performance.now();
+
+    res.once('close', () => {
+        if (!ACCESS_LOG) return;
+        const entry = {
+            time: new Date().toISOString(),
+            method: req.method,
+            url: req.url,
+            status: res.writableFinished ? res.statusCode : null, // null: the client hung up first
+            ms: Math.round(performance.now() - started),
+            ip: ip,
+            upstreamMs: context.upstream.reduce((sum, call) => sum + call.ms, 0),
+            upstream: context.upstream
+        };
+        if (context.error) entry.error = context.error;
+        process.stdout.write(`${JSON.stringify(entry)}\n`);
+    });
+
+    return requestContext.run(context, handler);
+}
+
+/**
+ * Adds an upstream call ({ url, status, ms, attempts }) to the current request's log line.
+ * Calls made outside a request (e.g. from the CLI) are ignored.
+ */
+export function recordUpstreamCall(call) {
+    const context = requestContext.getStore();
+    if (context) context.upstream.push(call);
+}
+
+// Puts the error message of a failed request into its log line
+export function recordRequestError(error) {
+    const context = requestContext.getStore();
+    if (context) context.error = error.message;
+}
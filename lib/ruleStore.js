@@ -0,0 +1,67 @@
+/**
+ * Rule Set Store
+ *
+ * Reads the rule sets for lib/rules.js from RULES_DIR (default: rules/ next to
+ * this repo's code), one JSON file per class. Files are read on every call so
+ * edits apply without a restart. A broken file is logged and skipped instead
+ * of failing the request.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { RULE_METRICS } from './rules.js';
+
+// --- CONFIGURATION ---
+const RULES_DIR = process.env.RULES_DIR || fileURLToPath(new URL('../rules', import.meta.url));
+
+/**
+ * Every valid rule set: [{ class, skills, file }]
+ */
+export async function loadRuleSets() {
+    let files;
+    try {
+        files = (await readdir(RULES_DIR)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Could not read rules from ${RULES_DIR}:`, error.message);
+        }
+        return [];
+    }
+
+    const ruleSets = await Promise.all(files.map(async file => {
+        try {
+            const ruleSet = JSON.parse(await readFile(join(RULES_DIR, file), 'utf8'));
+            const problem = findProblem(ruleSet);
+            if (problem) throw new Error(problem);
+            return { class: ruleSet.class, skills: ruleSet.skills, file: file };
+        } catch (error) {
+            console.error(`Ignoring rule file ${file}:`, error.message);
+            return null;
+        }
+    }));
+    return ruleSets.filter(Boolean);
+}
+
+// Returns what is wrong with a parsed rule file, or null when it is usable
+function findProblem(ruleSet) {
+    if (!ruleSet || typeof ruleSet.class !== 'string' || !ruleSet.class) {
+        return "'class' must be a class name or '*'";
+    }
+    if (!ruleSet.skills || typeof ruleSet.skills !== 'object' || Array.isArray(ruleSet.skills)) {
+        return "'skills' must be an object keyed by skill ID";
+    }
+    for (const [skillId, rule] of Object.entries(ruleSet.skills)) {
+        if (!/^-?\d+$/.test(skillId)) return `'${skillId}' is not a skill ID`;
+        if (!rule || typeof rule !== 'object') return `skills.${skillId} must be an object`;
+        for (const metric of RULE_METRICS) {
+            const range = rule && rule[metric];
+            if (range === undefined) continue;
+            const bounds = [range.min, range.max].filter(bound => bound !== undefined);
+            if (bounds.length === 0 || bounds.some(bound => typeof bound !== 'number')) {
+                return `skills.${skillId}.${metric} needs a numeric 'min' and/or 'max'`;
+            }
+        }
+    }
+    return null;
+}
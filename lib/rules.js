@@ -0,0 +1,100 @@
+/**
+ * Spread Rules
+ *
+ * Checks a computed spread against per-class expectations and turns every
+ * miss into a warning. Rule sets are data files in rules/ (see
+ * lib/ruleStore.js), one per class, keyed by skill ID:
+ * {
+ * "class": "Shadow",
+ * "skills": {
+ *   "6802": { "name": "Pursuer", "percent": { "min": 15, "max": 25 }, "crit_rate": { "min": 40 }, "note": "..." }
+ * }
+ * }
+ * A rule set with "class": "*" applies to every class; a class's own rule for
+ * the same skill replaces it. Like lib/spread.js this file has no Node
+ * imports, so the page evaluates the same rules as the API.
+ */
+
+import { playerClass, skillName } from './spread.js';
+
+export const RULE_METRICS = ['percent', 'crit_rate'];
+
+/**
+ * The rules that apply to one class, as one skill ID -> rule map.
+ */
+export function rulesForClass(ruleSets, className) {
+    const wanted = String(className).toLowerCase();
+    const shared = ruleSets.filter(ruleSet => ruleSet.class === '*');
+    const own = ruleSets.filter(ruleSet => ruleSet.class !== '*' && String(ruleSet.class).toLowerCase() === wanted);
+    return Object.assign({}, ...shared.concat(own).map(ruleSet => ruleSet.skills));
+}
+
+// "15-25%", "at least 40%", "at most 5%"
+function describeRange({ min, max }) {
+    if (min !== undefined && max !== undefined) return `${min}-${max}%`;
+    return min !== undefined ? `at least ${min}%` : `at most ${max}%`;
+}
+
+/**
+ * Evaluates cleaned rows ([{ id, name, percent, crit_rate, ... }]) against
+ * the rules of one class:
+ * [{ skillId, name, metric, value, min, max, message, note }]
+ * A skill with a minimum share that was not used at all is a warning too.
+ * A spread without rows (no damage) has nothing to warn about.
+ */
+export function evaluateRules(rows, rules, skillDictionary = {}) {
+    if (rows.length === 0) return [];
+    const byId = new Map(rows.map(row => [String(row.id), row]));
+
+    const warnings = [];
+    Object.entries(rules).forEach(([skillId, rule]) => {
+        const row = byId.get(skillId);
+        // A skill missing from the run is not in its dictionary either, so prefer the rule's own label
+        const name = row ? row.name : (rule.name || skillName(skillDictionary, skillId));
+
+        RULE_METRICS.forEach(metric => {
+            const range = rule[metric];
+            if (!range) return;
+            // Crit rate of a skill that was never used means nothing
+            if (!row && (metric !== 'percent' || !(range.min > 0))) return;
+
+            const value = row ? row[metric] : 0;
+            if ((range.min === undefined || value >= range.min) && (range.max === undefined || value <= range.max)) return;
+
+            let message;
+            if (!row) {
+                message = `${name} was not used, expected ${describeRange(range)} of damage`;
+            } else if (metric === 'percent') {
+                message = `${name} is ${value}% of damage, expected ${describeRange(range)}`;
+            } else {
+                message = `${name} crit rate is ${value}%, expected ${describeRange(range)}`;
+            }
+            warnings.push({
+                skillId: Number(skillId),
+                name: name,
+                metric: metric,
+                value: value,
+                min: range.min ?? null,
+                max: range.max ?? null,
+                message: message,
+                note: rule.note || null
+            });
+        });
+    });
+    return warnings;
+}
+
+/**
+ * Adds `warnings` to every player of a spread from selectSpread() or
+ * selectTotals(), using each player's class from the run.
+ */
+export function withWarnings(spread, runData, ruleSets, skillDictionary) {
+    const annotate = player => ({
+        ...player,
+        warnings: evaluateRules(player.skills, rulesForClass(ruleSets, playerClass(runData, player.id)), skillDictionary)
+    });
+    if (spread.players) {
+        return { ...spread, players: spread.players.map(annotate) };
+    }
+    return { ...spread, gates: spread.gates.map(gate => ({ ...gate, players: gate.players.map(annotate) })) };
+}
@@ -0,0 +1,221 @@
+/**
+ * Run Loading
+ *
+ * Fetches a run from fatduck and resolves the names of every skill used in it.
+ * Shared by the standalone server (index.js) and the Vercel function (api.js).
+ *
+ * Run fetches go through a rate limiter and are cached in memory for a while,
+ * so batch features (like the class benchmark) don't hammer fatduckdn.com.
+ * Fetched runs are also saved as snapshots and served from disk next time.
+ *
+ * Returns:
+ * {
+ * "runData": { ... full data for the run ... },
+ * "skillDictionary": { "6802": "Pursuer (Shadow)", ... },
+ * "unresolvedSkillIds": [ 9999 ], // Skills whose name lookup failed
+ * "source": "saved", // or "fatduck"
+ * "savedAt": 1731456000000
+ * }
+ *
+ * Upstream failures are thrown as UpstreamError (see lib/upstream.js) with the
+ * status our API should answer: 404 for an unknown run, 502 for anything else.
+ * Every run is normalized by lib/runSchema.js; one that does not fit is thrown
+ * as a RunDataError listing the offending fields (502 from fatduck, 422 for
+ * uploaded JSON).
+ */
+
+import { normalizeRun, RunDataError, validateRun } from './runSchema.js';
+import { getSkillDictionary, rememberSkillNames } from './skillStore.js';
+import { getSnapshot, saveSnapshot } from './snapshotStore.js';
+import { collectSkillIds } from './spread.js';
+import { createLimiter } from './throttle.js';
+import { fetchJson, runUrl, UpstreamError } from './upstream.js';
+
+// --- CONFIGURATION ---
+const RUN_CACHE_TTL_MS = Number(process.env.RUN_CACHE_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+const RUN_CACHE_MAX_RUNS = Number(process.env.RUN_CACHE_MAX_RUNS) || 100;
+// Every unknown skill ID costs a minerva lookup; a real run uses far fewer, so more means a made-up run
+const MAX_RUN_SKILLS = Number(process.env.MAX_RUN_SKILLS) || 200;
+const limitFatduck = createLimiter({
+    concurrency: Number(process.env.FATDUCK_CONCURRENCY) || 2,
+    minIntervalMs: Number(process.env.FATDUCK_MIN_INTERVAL_MS) || 250
+});
+
+const runCache = new Map(); // Run ID -> { expiresAt, promise }, least recently used first
+
+export function fetchRunData(id, { refresh = false } = {}) {
+    const key = String(id);
+    const cached = runCache.get(key);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+        // Move to the back so the least recently used run is evicted first
+        runCache.delete(key);
+        runCache.set(key, cached);
+        return cached.promise;
+    }
+
+    const promise = limitFatduck(() => fetchJson(runUrl(id))).catch(error => {
+        if (error.status === 404) {
+            throw new UpstreamError(`Run not found (ID: ${id})`, { status: 404, upstreamStatus: error.upstreamStatus });
+        }
+        if (error.status === 400) throw error; // Invalid run ID, nothing was sent to fatduck
+        throw new UpstreamError(`Failed to fetch run data (ID: ${id}): ${error.message}`, { upstreamStatus: error.upstreamStatus });
+    }).then(runData => normalizeRun(runData, {
+        message: `Fatduck sent run data in an unexpected format (ID: ${id})`,
+        status: 502
+    }));
+
+    // Concurrent requests for the same run share one fetch; failures are not cached
+    const entry = { expiresAt: Date.now() + RUN_CACHE_TTL_MS, promise };
+    cacheRun(key, entry);
+    promise.catch(() => uncacheRun(key, entry));
+    return promise;
+}
+
+// Entries leave the cache when they expire or when it is full, whichever comes first
+function cacheRun(key, entry) {
+    runCache.delete(key);
+    runCache.set(key, entry);
+    setTimeout(() => uncacheRun(key, entry), RUN_CACHE_TTL_MS).unref();
+    while (runCache.size > RUN_CACHE_MAX_RUNS) {
+        runCache.delete(runCache.keys().next().value);
+    }
+}
+
+// Only removes the entry if a newer fetch of the same run has not replaced it
+function uncacheRun(key, entry) {
+    if (runCache.get(key) === entry) runCache.delete(key);
+}
+
+// Every skill ID the run uses. Refuses runs with more than MAX_RUN_SKILLS before anything is looked up
+function runSkillIds(runData) {
+    const skillIds = collectSkillIds(runData);
+    if (skillIds.length > MAX_RUN_SKILLS) {
+        throw new RunDataError(`The run uses ${skillIds.length} different skills, at most ${MAX_RUN_SKILLS} are looked up per run`, { status: 413 });
+    }
+    return skillIds;
+}
+
+/**
+ * Resolves the names of every skill in the run:
+ * { skillDictionary, unresolvedSkillIds }, where the unresolved IDs carry an
+ * `Unknown Skill (...)` / `Error Skill (...)` placeholder in the dictionary.
+ * Throws a RunDataError (413) when the run uses more than MAX_RUN_SKILLS
+ * different skills, before anything is looked up.
+ */
+export async function buildSkillDictionary(runData) {
+    const { skillDictionary, unresolvedSkillIds } = await getSkillDictionary(runSkillIds(runData));
+
+    // Add Basic Attack manually since it's not in the API
+    skillDictionary["-1"] = "Basic Attack";
+    return { skillDictionary, unresolvedSkillIds };
+}
+
+/**
+ * Skill names for a saved run. The names it was saved with are used as they
+ * are, so a saved run loads without going upstream; only the skills whose
+ * lookup had failed are looked up again. `remember` also puts the saved names
+ * into the skill store, for our own snapshots (never for uploaded files).
+ */
+async function resolveSavedNames(runData, saved, { remember = false } = {}) {
+    const skillIds = runSkillIds(runData);
+    // Saved files may have been edited by hand, so neither field is trusted to have the right shape
+    const savedDictionary = saved.skillDictionary && typeof saved.skillDictionary === 'object' ? saved.skillDictionary : {};
+    const savedFallbacks = new Set((Array.isArray(saved.unresolvedSkillIds) ? saved.unresolvedSkillIds : []).map(String));
+
+    const savedNames = {};
+    const lookupIds = [];
+    skillIds.forEach(skillId => {
+        const savedName = savedDictionary[skillId];
+        if (typeof savedName === 'string' && !savedFallbacks.has(String(skillId))) {
+            savedNames[skillId] = savedName;
+        } else {
+            lookupIds.push(skillId);
+        }
+    });
+
+    if (remember) await rememberSkillNames(savedNames, saved.savedAt);
+    const { skillDictionary, unresolvedSkillIds } = await getSkillDictionary(lookupIds);
+    return {
+        skillDictionary: { ...savedNames, ...skillDictionary, "-1": "Basic Attack" },
+        unresolvedSkillIds: unresolvedSkillIds
+    };
+}
+
+/**
+ * Loads a run, from its saved snapshot when there is one (see
+ * lib/snapshotStore.js) and otherwise from fatduck, saving what was fetched.
+ * `refresh` skips the snapshot and replaces it with a fresh copy, `save: false`
+ * leaves the snapshots alone (savedAt is then null for a fetched run).
+ * The result also says where it came from: `source` is 'saved' or 'fatduck'.
+ */
+export async function loadRun(id, { refresh = false, save = true } = {}) {
+    if (!refresh) {
+        const snapshot = await getSnapshot(id);
+        // Snapshots from before normalization are checked too; one that does not fit is fetched again
+        const { runData: savedRun, issues } = snapshot ? validateRun(snapshot.runData) : { issues: [] };
+        if (snapshot && issues.length > 0) {
+            console.error(`Ignoring saved run ${id}, it does not match the run schema:`, issues[0].path, issues[0].message);
+        } else if (snapshot) {
+            return {
+                runData: savedRun,
+                ...await resolveSavedNames(savedRun, snapshot, { remember: true }),
+                source: 'saved',
+                savedAt: snapshot.savedAt
+            };
+        }
+    }
+
+    const run = await loadRunFromJson(await fetchRunData(id, { refresh }));
+    if (!save) {
+        return { ...run, source: 'fatduck', savedAt: null };
+    }
+    try {
+        const { savedAt } = await saveSnapshot(id, run);
+        return { ...run, source: 'fatduck', savedAt };
+    } catch (error) {
+        // History is a convenience; the fetched run is still good
+        console.error(`Could not save snapshot of run ${id}:`, error.message);
+        return { ...run, source: 'fatduck', savedAt: null };
+    }
+}
+
+/**
+ * Same result as loadRun() for a run JSON we already have, e.g. a saved file.
+ * Throws a RunDataError (422) when the JSON is not a run.
+ */
+export async function loadRunFromJson(rawRun) {
+    const runData = normalizeRun(rawRun, { message: 'The run JSON does not match the expected format' });
+    const { skillDictionary, unresolvedSkillIds } = await buildSkillDictionary(runData);
+    return {
+        runData: runData,
+        skillDictionary: skillDictionary,
+        unresolvedSkillIds: unresolvedSkillIds
+    };
+}
+
+/**
+ * Same result as loadRun() for a saved /api/get-run-data response
+ * ({ runData, skillDictionary, unresolvedSkillIds }, e.g. a file downloaded
+ * from the page): the run is normalized like any other, and skill names are
+ * resolved like a snapshot's, without adding the file's names to the skill
+ * store. Throws a RunDataError (422) when `runData` is
+ * not a run.
+ */
+export async function loadRunFromSaved(saved) {
+    const runData = normalizeRun(saved.runData, { message: 'The saved run JSON does not match the expected format' });
+    return {
+        runData: runData,
+        ...await resolveSavedNames(runData, saved)
+    };
+}
+
+/**
+ * Loads many runs, with the fatduck fetches spaced out by the rate limiter.
+ * A run that fails does not fail the batch:
+ * [{ id, runData, skillDictionary }] or [{ id, error }]
+ */
+export function loadRuns(ids) {
+    return Promise.all(ids.map(id => loadRun(id)
+        .then(data => ({ id, ...data }))
+        .catch(error => ({ id, error: error.message }))));
+}
@@ -0,0 +1,182 @@
+/**
+ * Run Schema
+ *
+ * Declares the shape of a fatduck run and normalizes runs to it, so every
+ * consumer gets the same types no matter how upstream sent them:
+ * - gate and player IDs are strings ("101", never 101)
+ * - skill IDs and gate numbers are integers
+ * - `damageDealt` / `damage` are numbers ("1.234.567" -> 1234567)
+ * - `hitCounts` is an array of integers ([] when missing)
+ * - `players`, `gates`, `gate.players` and `player.skills` are arrays ([] when missing)
+ *
+ * Fields the schema does not mention (className, dungeon, dates, ...) are kept
+ * as they are. A run that does not fit is rejected as a whole, listing every
+ * offending field:
+ * { "path": "gates[0].players[1].skills[3].hitCounts", "message": "expected an array of hit counts, got string" }
+ */
+
+// Upper bound on issues listed in one error, a completely different format would list thousands
+const MAX_ISSUES = 50;
+
+const SKILL = {
+    type: 'object',
+    fields: {
+        id: { type: 'integer' },
+        damage: { type: 'damage' },
+        hitCounts: { type: 'counts', default: [] }
+    }
+};
+
+const GATE_PLAYER = {
+    type: 'object',
+    fields: {
+        id: { type: 'id' },
+        damageDealt: { type: 'damage' },
+        skills: { type: 'array', items: SKILL, default: [] }
+    }
+};
+
+const GATE = {
+    type: 'object',
+    fields: {
+        id: { type: 'id' },
+        gateNum: { type: 'integer' },
+        name: { type: 'string', optional: true },
+        players: { type: 'array', items: GATE_PLAYER, default: [] }
+    }
+};
+
+const RUN_PLAYER = {
+    type: 'object',
+    fields: {
+        id: { type: 'id' },
+        name: { type: 'string', optional: true }
+    }
+};
+
+export const RUN_SCHEMA = {
+    type: 'object',
+    fields: {
+        players: { type: 'array', items: RUN_PLAYER, default: [] },
+        gates: { type: 'array', items: GATE, default: [] }
+    }
+};
+
+/**
+ * A run (or uploaded file) that does not match RUN_SCHEMA. `status` is what
+ * our API should answer with: 502 when fatduck sent it, 422 for uploads.
+ */
+export class RunDataError extends Error {
+    constructor(message, { status = 422, issues = [] } = {}) {
+        super(message);
+        this.name = 'RunDataError';
+        this.status = status;
+        this.issues = issues;
+    }
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Converters return the normalized value, or undefined when the value does not fit
+const CONVERTERS = {
+    id: value => {
+        if (typeof value === 'number' && Number.isInteger(value)) return String(value);
+        if (typeof value === 'string' && value.trim() !== '') return value.trim();
+        return undefined;
+    },
+    integer: value => {
+        if (typeof value === 'number' && Number.isInteger(value)) return value;
+        if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return parseInt(value, 10);
+        return undefined;
+    },
+    string: value => (typeof value === 'string' || typeof value === 'number') ? String(value) : undefined,
+    // Fatduck sends damage as a dot-separated string ("1.234.567")
+    damage: value => {
+        if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+        if (typeof value === 'string' && /^\d+(\.\d+)*$/.test(value.trim())) return parseInt(value.replace(/\./g, ''), 10);
+        return undefined;
+    },
+    counts: value => {
+        if (!Array.isArray(value)) return undefined;
+        const counts = value.map(CONVERTERS.integer);
+        return counts.every(count => count !== undefined && count >= 0) ? counts : undefined;
+    }
+};
+
+const EXPECTED = {
+    id: 'a string or integer ID',
+    integer: 'an integer',
+    string: 'a string',
+    damage: 'a damage number or "1.234.567" string',
+    counts: 'an array of hit counts',
+    array: 'an array',
+    object: 'an object'
+};
+
+function normalizeValue(value, spec, path, issues) {
+    if (value === undefined) {
+        if ('default' in spec) return structuredClone(spec.default);
+        if (spec.optional) return undefined;
+        issues.push({ path, message: 'is missing' });
+        return undefined;
+    }
+
+    if (spec.type === 'array') {
+        if (!Array.isArray(value)) {
+            issues.push({ path, message: `expected ${EXPECTED.array}, got ${describeType(value)}` });
+            return undefined;
+        }
+        return value.map((item, i) => normalizeValue(item, spec.items, `${path}[${i}]`, issues));
+    }
+
+    if (spec.type === 'object') {
+        if (!isPlainObject(value)) {
+            issues.push({ path: path || '(run)', message: `expected ${EXPECTED.object}, got ${describeType(value)}` });
+            return undefined;
+        }
+        const result = { ...value };
+        Object.entries(spec.fields).forEach(([key, fieldSpec]) => {
+            const normalized = normalizeValue(value[key], fieldSpec, path ? `${path}.${key}` : key, issues);
+            if (normalized !== undefined) result[key] = normalized;
+        });
+        return result;
+    }
+
+    const converted = CONVERTERS[spec.type](value);
+    if (converted === undefined) {
+        issues.push({ path, message: `expected ${EXPECTED[spec.type]}, got ${describeType(value)}` });
+    }
+    return converted;
+}
+
+/**
+ * Checks a run against RUN_SCHEMA: { runData, issues }. `runData` is the
+ * normalized copy (null when there are issues); the input is not modified.
+ */
+export function validateRun(rawRun) {
+    const issues = [];
+    const runData = normalizeValue(rawRun, RUN_SCHEMA, '', issues);
+    return { runData: issues.length === 0 ? runData : null, issues };
+}
+
+/**
+ * Returns the normalized run, or throws a RunDataError listing (up to
+ * MAX_ISSUES of) the offending fields. `message` and `status` describe where
+ * the run came from.
+ */
+export function normalizeRun(rawRun, { message = 'Run data does not match the expected format', status = 422 } = {}) {
+    const { runData, issues } = validateRun(rawRun);
+    if (issues.length > 0) {
+        const fieldList = issues.slice(0, 3).map(issue => issue.path).join(', ');
+        const more = issues.length > 3 ? ` and ${issues.length - 3} more` : '';
+        throw new RunDataError(`${message}: ${fieldList}${more}`, { status, issues: issues.slice(0, MAX_ISSUES) });
+    }
+    return runData;
+}
@@ -0,0 +1,169 @@
+/**
+ * Skill Name Store
+ *
+ * Skill names almost never change, so instead of asking minerva for every
+ * skill on every request we keep the resolved names on disk:
+ * {
+ * "skills": { "6802": { "name": "Pursuer (Shadow)", "fetchedAt": 1731456000000 } }
+ * }
+ *
+ * Only IDs that are missing (or older than the TTL) are fetched, a few at a
+ * time (MINERVA_CONCURRENCY). The `Unknown Skill (...)` / `Error Skill (...)`
+ * fallbacks are returned to the caller but never written to the store. They
+ * are remembered in memory for SKILL_FAILURE_TTL_MS though, so a run full of
+ * made-up skill IDs, uploaded over and over, is looked up once and not on
+ * every upload.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { defaultDataPath } from './dataPath.js';
+import { createLimiter } from './throttle.js';
+import { fetchJson, skillUrl } from './upstream.js';
+
+// --- CONFIGURATION ---
+const CACHE_FILE = process.env.SKILL_CACHE_FILE || defaultDataPath('.cache/skill-names.json');
+const CACHE_TTL_MS = Number(process.env.SKILL_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const limitMinerva = createLimiter({ concurrency: Number(process.env.MINERVA_CONCURRENCY) || 8 });
+const FAILURE_TTL_MS = Number(process.env.SKILL_FAILURE_TTL_MS) || 5 * 60 * 1000; // 5 minutes
+// Made-up IDs are unlimited, so the failures kept in memory need an upper bound
+const MAX_FAILURES = 10000;
+
+let storePromise = null; // Loaded once per process
+let writeQueue = Promise.resolve(); // Serializes writes to the cache file
+const recentFailures = new Map(); // Skill ID -> { name, expiresAt }, oldest first
+
+/**
+ * Returns a dictionary (ID -> Name) for the given skill IDs, using the disk
+ * cache where possible and fetching the rest from minerva:
+ * { skillDictionary, unresolvedSkillIds }
+ * Unresolved IDs still get a fallback name in the dictionary.
+ */
+export async function getSkillDictionary(skillIds) {
+    const store = await loadStore();
+    const now = Date.now();
+
+    // --- Step 1: Split into cached, recently failed and missing IDs ---
+    const skillDictionary = {};
+    const failedEntries = [];
+    const missingIds = [];
+    skillIds.forEach(skillId => {
+        const entry = store.skills[skillId];
+        const failure = recentFailures.get(String(skillId));
+        if (entry && now - entry.fetchedAt < CACHE_TTL_MS) {
+            skillDictionary[skillId] = entry.name;
+        } else if (failure && failure.expiresAt > now) {
+            failedEntries.push({ id: skillId, name: failure.name, resolved: false });
+        } else {
+            missingIds.push(skillId);
+        }
+    });
+
+    if (missingIds.length === 0 && failedEntries.length === 0) {
+        return { skillDictionary, unresolvedSkillIds: [] };
+    }
+
+    // --- Step 2: Fetch only the missing names ---
+    const fetchedEntries = await Promise.all(missingIds.map(skillId => limitMinerva(() => fetchSkillName(skillId))));
+    fetchedEntries.filter(({ resolved }) => !resolved).forEach(({ id, name }) => rememberFailure(id, name, now));
+    const skillNameEntries = failedEntries.concat(fetchedEntries);
+
+    // --- Step 3: Remember real names, keep fallbacks out of the store ---
+    let changed = false;
+    const unresolvedSkillIds = [];
+    skillNameEntries.forEach(({ id, name, resolved }) => {
+        if (resolved) {
+            store.skills[id] = { name, fetchedAt: now };
+            changed = true;
+            skillDictionary[id] = name;
+        } else if (store.skills[id]) {
+            // An expired name is still better than a fallback label
+            skillDictionary[id] = store.skills[id].name;
+        } else {
+            skillDictionary[id] = name;
+            unresolvedSkillIds.push(id);
+        }
+    });
+
+    if (changed) {
+        await saveStore(store);
+    }
+
+    return { skillDictionary, unresolvedSkillIds };
+}
+
+/**
+ * Adds names we already have (e.g. from a saved run) to the store without
+ * asking minerva. `fetchedAt` is when they were resolved; newer entries are kept.
+ */
+export async function rememberSkillNames(names, fetchedAt) {
+    const store = await loadStore();
+    const resolvedAt = Number.isFinite(fetchedAt) ? fetchedAt : Date.now();
+    let changed = false;
+    Object.entries(names).forEach(([skillId, name]) => {
+        const entry = store.skills[skillId];
+        if (entry && entry.fetchedAt >= resolvedAt) return;
+        store.skills[skillId] = { name, fetchedAt: resolvedAt };
+        changed = true;
+    });
+
+    if (changed) {
+        await saveStore(store);
+    }
+}
+
+// Failed lookups are not retried until FAILURE_TTL_MS has passed
+function rememberFailure(skillId, name, now) {
+    const key = String(skillId);
+    recentFailures.delete(key);
+    recentFailures.set(key, { name, expiresAt: now + FAILURE_TTL_MS });
+    while (recentFailures.size > MAX_FAILURES) {
+        recentFailures.delete(recentFailures.keys().next().value);
+    }
+}
+
+async function fetchSkillName(skillId) {
+    try {
+        const data = await fetchJson(skillUrl(skillId));
+        if (data && data._NameID_txt) {
+            return { id: skillId, name: data._NameID_txt, resolved: true };
+        }
+        return { id: skillId, name: `Unknown Skill (${skillId})`, resolved: false };
+    } catch (e) {
+        return { id: skillId, name: `Error Skill (${skillId})`, resolved: false };
+    }
+}
+
+function loadStore() {
+    if (!storePromise) {
+        storePromise = readFile(CACHE_FILE, 'utf8')
+            .then(text => {
+                const parsed = JSON.parse(text);
+                return { skills: (parsed && parsed.skills) || {} };
+            })
+            .catch(error => {
+                // A missing file is the normal first run; anything else is worth a log line
+                if (error.code !== 'ENOENT') {
+                    console.error(`Ignoring unreadable skill cache at ${CACHE_FILE}:`, error.message);
+                }
+                return { skills: {} };
+            });
+    }
+    return storePromise;
+}
+
+function saveStore(store) {
+    // Write to a temp file and rename so a crash never leaves half a JSON file behind
+    writeQueue = writeQueue.then(async () => {
+        try {
+            const tempFile = `${CACHE_FILE}.${process.pid}.tmp`;
+            await mkdir(dirname(CACHE_FILE), { recursive: true });
+            await writeFile(tempFile, JSON.stringify(store));
+            await rename(tempFile, CACHE_FILE);
+        } catch (error) {
+            // The cache is an optimization; never fail a request because of it
+            console.error(`Could not write skill cache to ${CACHE_FILE}:`, error.message);
+        }
+    });
+    return writeQueue;
+}
@@ -0,0 +1,176 @@
+/**
+ * Run Snapshots
+ *
+ * Every run fetched from fatduck is saved to disk, one JSON file per run ID,
+ * so it can still be analyzed after it ages out upstream (or without network):
+ * {
+ * "id": "776482144628289536",
+ * "savedAt": 1731456000000,
+ * "runData": { ... },
+ * "skillDictionary": { ... },
+ * "unresolvedSkillIds": [ ... ]
+ * }
+ *
+ * Next to them, index.json holds the summary of each run that the run list
+ * shows, so listing does not parse every snapshot. It is rebuilt from the
+ * snapshots when missing. At most SNAPSHOT_MAX_RUNS runs are kept; saving one
+ * more deletes the oldest.
+ */
+
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { defaultDataPath } from './dataPath.js';
+
+// --- CONFIGURATION ---
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || defaultDataPath('.data/runs');
+// Every new run ID someone asks for is saved, so the directory needs an upper bound
+const SNAPSHOT_MAX_RUNS = Number(process.env.SNAPSHOT_MAX_RUNS) || 500;
+
+const INDEX_FILE = join(SNAPSHOT_DIR, 'index.json');
+
+let indexQueue = Promise.resolve(); // Serializes index updates
+
+// Run IDs become file names, so only plain numeric IDs can ever be saved
+function isValidId(id) {
+    return /^\d+$/.test(String(id));
+}
+
+function snapshotPath(id) {
+    return join(SNAPSHOT_DIR, `${id}.json`);
+}
+
+// Write to a temp file and rename so a crash never leaves half a JSON file behind
+async function writeJsonFile(path, value) {
+    const tempFile = `${path}.${process.pid}.tmp`;
+    await mkdir(SNAPSHOT_DIR, { recursive: true });
+    await writeFile(tempFile, JSON.stringify(value));
+    await rename(tempFile, path);
+}
+
+// What the run list shows of a snapshot
+function summarize(snapshot) {
+    return {
+        id: snapshot.id,
+        savedAt: snapshot.savedAt,
+        gates: (snapshot.runData.gates || []).length,
+        players: (snapshot.runData.players || []).map(player => player.name)
+    };
+}
+
+// The slow way, for a directory saved before there was an index (or with a broken one): parse every snapshot
+async function buildIndex() {
+    let files;
+    try {
+        files = await readdir(SNAPSHOT_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+
+    const runs = {};
+    await Promise.all(files
+        .filter(file => /^\d+\.json$/.test(file))
+        .map(async file => {
+            try {
+                const snapshot = JSON.parse(await readFile(join(SNAPSHOT_DIR, file), 'utf8'));
+                runs[snapshot.id] = summarize(snapshot);
+            } catch (error) {
+                console.error(`Skipping unreadable snapshot ${file}:`, error.message);
+            }
+        }));
+    return runs;
+}
+
+/**
+ * Runs `task(runs)` on the index of saved runs (run ID -> summary, kept in
+ * index.json so listing them parses one small file) and writes it back if
+ * the task changed it. One task at a time, so concurrent saves keep each
+ * other's entries.
+ */
+function withIndex(task) {
+    const result = indexQueue.then(async () => {
+        let runs;
+        try {
+            runs = JSON.parse(await readFile(INDEX_FILE, 'utf8')).runs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Rebuilding unreadable snapshot index ${INDEX_FILE}:`, error.message);
+            }
+            runs = null;
+        }
+        const stored = runs ? JSON.stringify(runs) : null;
+        if (!runs) runs = await buildIndex();
+
+        const value = await task(runs);
+        if (JSON.stringify(runs) !== stored && (stored || Object.keys(runs).length > 0)) {
+            await writeJsonFile(INDEX_FILE, { runs });
+        }
+        return value;
+    });
+    indexQueue = result.catch(() => {});
+    return result;
+}
+
+export async function saveSnapshot(id, { runData, skillDictionary, unresolvedSkillIds = [] }) {
+    if (!isValidId(id)) {
+        throw new Error(`Invalid run ID: '${id}'`);
+    }
+    const snapshot = { id: String(id), savedAt: Date.now(), runData, skillDictionary, unresolvedSkillIds };
+    await writeJsonFile(snapshotPath(id), snapshot);
+    await withIndex(async runs => {
+        runs[snapshot.id] = summarize(snapshot);
+        await pruneSnapshots(runs);
+    });
+    return snapshot;
+}
+
+// Deletes the oldest snapshots beyond SNAPSHOT_MAX_RUNS, going by the index so nothing has to be parsed
+async function pruneSnapshots(runs) {
+    const oldest = Object.values(runs).sort((a, b) => a.savedAt - b.savedAt).slice(0, -SNAPSHOT_MAX_RUNS);
+    await Promise.all(oldest.map(async ({ id }) => {
+        delete runs[id];
+        await unlink(snapshotPath(id)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }));
+}
+
+/**
+ * The saved snapshot for a run, or null if there is none.
+ */
+export async function getSnapshot(id) {
+    if (!isValidId(id)) return null;
+    try {
+        return JSON.parse(await readFile(snapshotPath(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Summaries of every saved run, newest first:
+ * [{ id, savedAt, gates, players: ["Name", ...] }]
+ */
+export async function listSnapshots() {
+    const runs = await withIndex(runs => Object.values(runs));
+    return runs.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Deletes a saved run. Returns false if there was nothing to delete.
+ */
+export async function deleteSnapshot(id) {
+    if (!isValidId(id)) return false;
+    let deleted = true;
+    try {
+        await unlink(snapshotPath(id));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        deleted = false;
+    }
+    await withIndex(runs => {
+        delete runs[String(id)];
+    });
+    return deleted;
+}
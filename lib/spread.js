@@ -0,0 +1,383 @@
+/**
+ * Skill Spread Core
+ *
+ * All of the run math lives here so the server, the Vercel function and the
+ * browser page produce identical numbers. This file must stay free of Node
+ * imports: index.js serves it to the page as /lib/spread.js.
+ *
+ * Input is the raw fatduck run JSON (`runData`) plus the skill dictionary
+ * (ID -> Name) built by lib/runData.js.
+ */
+
+/**
+ * Fatduck run IDs are numeric snowflakes (18-19 digits today). Anything else
+ * must never reach an upstream URL or a file name.
+ */
+export function isValidRunId(id) {
+    return /^\d{1,20}$/.test(String(id));
+}
+
+/**
+ * Pulls the run ID out of a fatduck run URL ("https://fatduckdn.com/runs/776482144628289536/")
+ * or accepts a bare run ID. Returns null when there is no valid run ID.
+ */
+export function parseRunId(input) {
+    const value = String(input || '').trim();
+    if (isValidRunId(value)) return value;
+    try {
+        const urlParts = new URL(value).pathname.split('/');
+        const runId = urlParts.pop() || urlParts.pop();
+        return isValidRunId(runId) ? runId : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Fatduck sends damage as a dot-separated string ("1.234.567").
+ * Numbers are passed through so already-parsed values still work.
+ */
+export function parseDamage(value) {
+    if (typeof value === 'number') return value;
+    if (!value) return 0;
+    return parseInt(String(value).replace(/\./g, ''), 10) || 0;
+}
+
+/**
+ * Percentage of `part` in `total`, rounded to one decimal like the table shows.
+ */
+export function toPercent(part, total) {
+    if (!total) return 0.0;
+    return parseFloat(((part / total) * 100).toFixed(1));
+}
+
+/**
+ * Collects every unique skill ID used by any player in any gate.
+ * IDs below 0 (like Basic Attack) are not in the skill table and are skipped.
+ */
+export function collectSkillIds(runData) {
+    const allSkillIds = new Set();
+    (runData.gates || []).forEach(gate => {
+        (gate.players || []).forEach(player => {
+            (player.skills || []).forEach(skill => {
+                if (skill.id > 0) allSkillIds.add(skill.id);
+            });
+        });
+    });
+    return Array.from(allSkillIds);
+}
+
+export function skillName(skillDictionary, skillId) {
+    return skillDictionary[skillId] || `Unknown Skill (${skillId})`;
+}
+
+// Gate IDs arrive as strings and player IDs as numbers, so always compare as strings
+export function findGate(runData, gateId) {
+    return (runData.gates || []).find(g => String(g.id) === String(gateId)) || null;
+}
+
+export function findPlayer(gate, playerId) {
+    return (gate.players || []).find(p => String(p.id) === String(playerId)) || null;
+}
+
+export function playerName(runData, playerId) {
+    const player = (runData.players || []).find(p => String(p.id) === String(playerId));
+    return player ? player.name : `Player ${playerId}`;
+}
+
+// What fatduck's `hitCounts` buckets mean as far as we know; later buckets are shown by index
+const HIT_BUCKET_LABELS = ['Normal', 'Crit'];
+
+export function hitBucketLabel(index) {
+    return HIT_BUCKET_LABELS[index] || `Bucket ${index}`;
+}
+
+/**
+ * Builds one cleaned row from a skill's damage and hit counts.
+ * `hitCounts[1]` holds the crits; the sum of all buckets is the total hits.
+ * Every bucket is kept in `hit_counts`, padded with 0 where a bucket is missing.
+ */
+function toSkillRow(skillId, damage, hitCounts, totalDamage, skillDictionary) {
+    if (!Array.isArray(hitCounts)) hitCounts = []; // Malformed runs can have anything here
+    const buckets = Array.from(hitCounts, count => Number(count) || 0);
+    const crits = buckets[1] || 0;
+    const totalHits = buckets.reduce((a, b) => a + b, 0);
+    const critRate = (totalHits > 0) ? parseFloat(((crits / totalHits) * 100).toFixed(1)) : 0.0;
+
+    return {
+        id: skillId,
+        name: skillName(skillDictionary, skillId),
+        damage: damage,
+        percent: toPercent(damage, totalDamage),
+        crit_hits: `${crits} / ${totalHits}`,
+        crit_rate: critRate,
+        hit_counts: buckets,
+        total_hits: totalHits,
+        damage_per_hit: totalHits > 0 ? Math.round(damage / totalHits) : 0
+    };
+}
+
+/**
+ * Hit totals over a player's cleaned rows:
+ * { total_hits, crit_hits, crit_rate, average_hits, damage_per_hit, hit_counts }
+ * `crit_rate` is weighted by hits (all crits over all hits), `average_hits` is
+ * per skill used, and `hit_counts` sums each bucket across skills.
+ */
+export function summarizeHits(rows) {
+    const hitCounts = [];
+    let damage = 0;
+    rows.forEach(row => {
+        damage += row.damage;
+        row.hit_counts.forEach((count, i) => {
+            hitCounts[i] = (hitCounts[i] || 0) + count;
+        });
+    });
+    const buckets = Array.from(hitCounts, count => count || 0);
+    const totalHits = buckets.reduce((a, b) => a + b, 0);
+
+    return {
+        total_hits: totalHits,
+        crit_hits: buckets[1] || 0,
+        crit_rate: toPercent(buckets[1] || 0, totalHits),
+        average_hits: rows.length > 0 ? parseFloat((totalHits / rows.length).toFixed(1)) : 0,
+        damage_per_hit: totalHits > 0 ? Math.round(damage / totalHits) : 0,
+        hit_counts: buckets
+    };
+}
+
+/**
+ * A player's class/spec as fatduck reports it. The run-level player entry is
+ * preferred, falling back to the gate-level one.
+ */
+export function playerClass(runData, playerId) {
+    const sources = [(runData.players || []).find(p => String(p.id) === String(playerId))];
+    (runData.gates || []).forEach(gate => sources.push(findPlayer(gate, playerId)));
+
+    for (const player of sources) {
+        if (!player) continue;
+        const value = player.className || player.class || player.job || player.spec;
+        if (value) return String(value);
+    }
+    return 'Unknown';
+}
+
+/**
+ * Turns one player's skills in one gate into the cleaned rows the page shows:
+ * [{ id, name, damage, percent, crit_hits, crit_rate, hit_counts, total_hits, damage_per_hit }],
+ * sorted by damage.
+ * A player with 0 total damage has no rows.
+ */
+export function buildSkillRows(player, skillDictionary) {
+    const totalDamage = parseDamage(player.damageDealt);
+    if (totalDamage === 0) return [];
+
+    return (player.skills || [])
+        .map(skill => toSkillRow(skill.id, parseDamage(skill.damage), skill.hitCounts, totalDamage, skillDictionary))
+        .sort((a, b) => b.damage - a.damage);
+}
+
+/**
+ * One player's spread in one gate, with the name taken from `runData.players`
+ * and the hit totals from summarizeHits().
+ */
+export function summarizePlayer(runData, player, skillDictionary) {
+    const skills = buildSkillRows(player, skillDictionary);
+    return {
+        id: player.id,
+        name: playerName(runData, player.id),
+        totalDamage: parseDamage(player.damageDealt),
+        hits: summarizeHits(skills),
+        skills: skills
+    };
+}
+
+/**
+ * Normalized per-gate, per-player breakdown of the whole run:
+ * { gates: [{ id, gateNum, name, players: [{ id, name, totalDamage, skills }] }] }
+ */
+export function buildRunBreakdown(runData, skillDictionary) {
+    return {
+        gates: (runData.gates || []).map(gate => ({
+            id: gate.id,
+            gateNum: gate.gateNum,
+            name: gate.name,
+            players: (gate.players || []).map(player => summarizePlayer(runData, player, skillDictionary))
+        }))
+    };
+}
+
+// A gate can be picked by its ID or by its number ("3"), a player by ID or name
+function matchesGate(gate, value) {
+    return String(gate.id) === String(value) || String(gate.gateNum) === String(value);
+}
+
+function matchesPlayer(player, value) {
+    return String(player.id) === String(value)
+        || String(player.name).toLowerCase() === String(value).toLowerCase();
+}
+
+/**
+ * Narrows a run breakdown to one player and/or one gate.
+ * `player` and `gate` default to 'all'. Gates where the selected player did not
+ * take part are dropped. Returns null when nothing matches the selection.
+ */
+export function selectSpread(breakdown, { player = 'all', gate = 'all' } = {}) {
+    const gates = breakdown.gates
+        .filter(g => gate === 'all' || matchesGate(g, gate))
+        .map(g => ({
+            ...g,
+            players: g.players.filter(p => player === 'all' || matchesPlayer(p, player))
+        }))
+        .filter(g => g.players.length > 0);
+
+    if (gates.length === 0) return null;
+    return { ...breakdown, gates: gates };
+}
+
+/**
+ * One player's spread over the whole run. Damage and every `hitCounts` bucket
+ * are summed across all gates before percent and crit rate are computed, and
+ * each row carries the per-gate contribution of that skill:
+ * { id, name, totalDamage, crit_rate, hits, gates: [{ id, gateNum, name, damage }],
+ *   skills: [{ ...row, gates: [{ id, gateNum, name, damage, percent }] }] }
+ * The top-level `crit_rate` is weighted by hits: all crits over all hits.
+ * `hits` is summarizeHits() of the rows.
+ * `percent` inside a skill's gates is that gate's share of the skill's damage.
+ */
+export function aggregatePlayerRun(runData, playerId, skillDictionary) {
+    const playerGates = [];
+    const totals = new Map(); // skill ID -> { damage, hitCounts, gates }
+
+    (runData.gates || []).forEach(gate => {
+        const player = findPlayer(gate, playerId);
+        if (!player) return;
+
+        const gateInfo = { id: gate.id, gateNum: gate.gateNum, name: gate.name };
+        playerGates.push({ ...gateInfo, damage: parseDamage(player.damageDealt) });
+
+        (player.skills || []).forEach(skill => {
+            const damage = parseDamage(skill.damage);
+            const total = totals.get(skill.id) || { damage: 0, hitCounts: [], gates: [] };
+            total.damage += damage;
+            (Array.isArray(skill.hitCounts) ? skill.hitCounts : []).forEach((count, i) => {
+                total.hitCounts[i] = (total.hitCounts[i] || 0) + count;
+            });
+            total.gates.push({ ...gateInfo, damage: damage });
+            totals.set(skill.id, total);
+        });
+    });
+
+    const totalDamage = playerGates.reduce((sum, g) => sum + g.damage, 0);
+    const skills = totalDamage === 0 ? [] : Array.from(totals, ([skillId, total]) => ({
+        ...toSkillRow(skillId, total.damage, total.hitCounts, totalDamage, skillDictionary),
+        gates: total.gates.map(g => ({ ...g, percent: toPercent(g.damage, total.damage) }))
+    })).sort((a, b) => b.damage - a.damage);
+    const hits = summarizeHits(skills);
+
+    return {
+        id: playerId,
+        name: playerName(runData, playerId),
+        totalDamage: totalDamage,
+        crit_rate: hits.crit_rate,
+        hits: hits,
+        gates: playerGates,
+        skills: skills
+    };
+}
+
+/**
+ * Whole-run spread for every player who took part in at least one gate:
+ * { players: [aggregatePlayerRun(...)] }
+ */
+export function buildRunTotals(runData, skillDictionary) {
+    const playerIds = [];
+    (runData.gates || []).forEach(gate => {
+        (gate.players || []).forEach(player => {
+            if (!playerIds.some(id => String(id) === String(player.id))) playerIds.push(player.id);
+        });
+    });
+    return {
+        players: playerIds.map(playerId => aggregatePlayerRun(runData, playerId, skillDictionary))
+    };
+}
+
+/**
+ * Narrows whole-run totals to one player (by ID or name), or null if not found.
+ */
+export function selectTotals(totals, player = 'all') {
+    const players = totals.players.filter(p => player === 'all' || matchesPlayer(p, player));
+    if (players.length === 0) return null;
+    return { ...totals, players: players };
+}
+
+/**
+ * The whole party in one gate (by ID or number), or in the whole run with
+ * gate 'all':
+ * { gate: { id, gateNum, name } | null, totalDamage,
+ *   players: [{ id, name, className, damage, share, skills }] }
+ * `share` is the player's percent of the party's damage; players are sorted
+ * by damage. Returns null when the gate does not exist.
+ */
+export function buildPartyOverview(runData, gateId, skillDictionary) {
+    let gate = null;
+    let entries;
+    if (gateId === 'all') {
+        entries = buildRunTotals(runData, skillDictionary).players
+            .map(player => ({ id: player.id, name: player.name, damage: player.totalDamage, skills: player.skills }));
+    } else {
+        const runGate = (runData.gates || []).find(g => matchesGate(g, gateId));
+        if (!runGate) return null;
+        gate = { id: runGate.id, gateNum: runGate.gateNum, name: runGate.name };
+        entries = (runGate.players || []).map(player => ({
+            id: player.id,
+            name: playerName(runData, player.id),
+            damage: parseDamage(player.damageDealt),
+            skills: buildSkillRows(player, skillDictionary)
+        }));
+    }
+
+    const totalDamage = entries.reduce((sum, entry) => sum + entry.damage, 0);
+    return {
+        gate: gate,
+        totalDamage: totalDamage,
+        players: entries.map(entry => ({
+            id: entry.id,
+            name: entry.name,
+            className: playerClass(runData, entry.id),
+            damage: entry.damage,
+            share: toPercent(entry.damage, totalDamage),
+            skills: entry.skills
+        })).sort((a, b) => b.damage - a.damage)
+    };
+}
+
+/**
+ * Aligns two spreads (arrays of cleaned rows) by skill ID:
+ * [{ id, name, a: { damage, percent } | null, b: ... , damage_diff, percent_diff, missing_from }]
+ * Diffs are b - a, with a skill missing from one side counted as 0 there.
+ * `missing_from` is 'a' or 'b' when a skill only shows up in one spread.
+ * Rows are sorted by the larger of the two percentages.
+ */
+export function compareSpreads(rowsA, rowsB) {
+    const byId = new Map();
+    rowsA.forEach(row => byId.set(String(row.id), { id: row.id, name: row.name, a: row, b: null }));
+    rowsB.forEach(row => {
+        const entry = byId.get(String(row.id));
+        if (entry) {
+            entry.b = row;
+        } else {
+            byId.set(String(row.id), { id: row.id, name: row.name, a: null, b: row });
+        }
+    });
+
+    return Array.from(byId.values()).map(({ id, name, a, b }) => ({
+        id: id,
+        name: name,
+        a: a ? { damage: a.damage, percent: a.percent } : null,
+        b: b ? { damage: b.damage, percent: b.percent } : null,
+        damage_diff: (b ? b.damage : 0) - (a ? a.damage : 0),
+        percent_diff: parseFloat(((b ? b.percent : 0) - (a ? a.percent : 0)).toFixed(1)),
+        missing_from: !a ? 'a' : (!b ? 'b' : null)
+    })).sort((x, y) => Math.max(y.a ? y.a.percent : 0, y.b ? y.b.percent : 0)
+        - Math.max(x.a ? x.a.percent : 0, x.b ? x.b.percent : 0));
+}
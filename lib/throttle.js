@@ -0,0 +1,92 @@
+/**
+ * Request Throttling
+ *
+ * A small limiter for upstream calls: at most `concurrency` tasks run at once,
+ * and each task starts at least `minIntervalMs` after the previous one.
+ *
+ * const limit = createLimiter({ concurrency: 2, minIntervalMs: 250 });
+ * const data = await limit(() => fetch(url));
+ *
+ * And a per-client rate limiter for our own API: at most `max` requests per
+ * client in each `windowMs` window.
+ *
+ * const take = createRateLimiter({ windowMs: 60000, max: 60 });
+ * if (!take(ip).allowed) { ...answer 429... }
+ */
+
+import { AsyncResource } from 'async_hooks';
+
+export function createLimiter({ concurrency = 1, minIntervalMs = 0 } = {}) {
+    const queue = [];
+    let active = 0;
+    let lastStart = 0;
+    let timer = null;
+
+    function next() {
+        if (timer || active >= concurrency || queue.length === 0) return;
+
+        const wait = lastStart + minIntervalMs - Date.now();
+        if (wait > 0) {
+            timer = setTimeout(() => {
+                timer = null;
+                next();
+            }, wait);
+            return;
+        }
+
+        const { task, resolve, reject } = queue.shift();
+        active++;
+        lastStart = Date.now();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+        next();
+    }
+
+    return function limit(task) {
+        return new Promise((resolve, reject) => {
+            // Queued tasks run from whichever task finished last; keep them in their own request's context
+            queue.push({ task: AsyncResource.bind(task), resolve, reject });
+            next();
+        });
+    };
+}
+
+/**
+ * Fixed-window rate limiter keyed by client (e.g. IP address). Returns
+ * `take(key)`, which counts one request and answers
+ * { allowed, limit, remaining, resetAt }. Expired windows are swept out once
+ * per window so the map does not grow with every client ever seen.
+ */
+export function createRateLimiter({ windowMs = 60000, max = 60 } = {}) {
+    const windows = new Map(); // key -> { count, resetAt }
+    let nextSweep = 0;
+
+    return function take(key) {
+        const now = Date.now();
+        if (now >= nextSweep) {
+            windows.forEach((window, windowKey) => {
+                if (window.resetAt <= now) windows.delete(windowKey);
+            });
+            nextSweep = now + windowMs;
+        }
+
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count++;
+
+        return {
+            allowed: window.count <= max,
+            limit: max,
+            remaining: Math.max(0, max - window.count),
+            resetAt: window.resetAt
+        };
+    };
+}
@@ -0,0 +1,117 @@
+/**
+ * Upstream Access
+ *
+ * Where runs and skill names come from, and how they are fetched. Both base
+ * URLs can be pointed at the bundled mock server (mock/server.js) to work
+ * without network access:
+ *
+ * FATDUCK_API_BASE=http://localhost:4000/api/v2 \
+ * MINERVA_API_BASE=http://localhost:4000/api/server/duck node index.js
+ */
+
+import { performance } from 'perf_hooks';
+import { recordUpstreamCall } from './requestLog.js';
+import { isValidRunId } from './spread.js';
+
+// --- CONFIGURATION ---
+const FATDUCK_API_BASE = (process.env.FATDUCK_API_BASE || 'https://fatduckdn.com/api/v2').replace(/\/+$/, '');
+const MINERVA_API_BASE = (process.env.MINERVA_API_BASE || 'https://minerva.fatduckdn.com/api/server/duck').replace(/\/+$/, '');
+
+export function runUrl(id) {
+    // Last line of defense: whatever the caller checked, only a run ID goes into the URL
+    if (!isValidRunId(id)) {
+        throw new UpstreamError(`Invalid run ID: '${id}'`, { status: 400 });
+    }
+    return `${FATDUCK_API_BASE}/game/dps/${id}`;
+}
+
+export function skillUrl(skillId) {
+    return `${MINERVA_API_BASE}/tables/virt.skilltable/${skillId}?uiresolve=_NameID&select=_NameID`;
+}
+
+// --- FETCH LAYER ---
+const TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 10000;
+const RETRIES = process.env.UPSTREAM_RETRIES !== undefined ? Number(process.env.UPSTREAM_RETRIES) : 3;
+const RETRY_BASE_MS = Number(process.env.UPSTREAM_RETRY_BASE_MS) || 250;
+// Longest wait before a retry, whatever Retry-After asks for; each wait holds a limiter slot
+const MAX_RETRY_DELAY_MS = Number(process.env.UPSTREAM_MAX_RETRY_DELAY_MS) || 5000;
+
+/**
+ * An upstream call that failed for good. `status` is what our API should
+ * answer with: 404 when upstream says the thing does not exist, 502 otherwise.
+ * `upstreamStatus` is upstream's own HTTP status, if it answered at all.
+ */
+export class UpstreamError extends Error {
+    constructor(message, { status = 502, upstreamStatus = null } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.status = status;
+        this.upstreamStatus = upstreamStatus;
+    }
+}
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Honors Retry-After (in seconds) when upstream sends it, otherwise doubles the wait each attempt.
+// Either way the wait is capped at MAX_RETRY_DELAY_MS
+function retryDelay(attempt, response) {
+    const retryAfter = response && Number(response.headers.get('retry-after'));
+    const delay = retryAfter > 0 ? retryAfter * 1000 : RETRY_BASE_MS * 2 ** attempt;
+    return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * GETs a JSON document with a per-attempt timeout, retrying with exponential
+ * backoff on network errors, timeouts, 429 and 5xx. Throws an UpstreamError.
+ * Every call ends up in the current request's access log (lib/requestLog.js).
+ */
+export async function fetchJson(url, options = {}) {
+    const call = { url: url, status: null, ms: 0, attempts: 0 };
+    const started = performance.now();
+    try {
+        return await fetchWithRetries(url, options, call);
+    } finally {
+        call.ms = Math.round(performance.now() - started);
+        recordUpstreamCall(call);
+    }
+}
+
+async function fetchWithRetries(url, { timeoutMs = TIMEOUT_MS, retries = RETRIES }, call) {
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        let failure;
+        call.attempts = attempt + 1;
+        try {
+            response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+            call.status = response.status;
+            if (response.ok) {
+                try {
+                    return await response.json();
+                } catch (error) {
+                    throw new UpstreamError(`Upstream sent invalid JSON: ${error.message}`, { upstreamStatus: response.status });
+                }
+            }
+            if (!isRetryable(response.status)) {
+                throw new UpstreamError(`Upstream answered ${response.status} ${response.statusText}`, {
+                    status: response.status === 404 ? 404 : 502,
+                    upstreamStatus: response.status
+                });
+            }
+            failure = new UpstreamError(`Upstream answered ${response.status} ${response.statusText}`, { upstreamStatus: response.status });
+        } catch (error) {
+            if (error instanceof UpstreamError) throw error;
+            failure = error.name === 'TimeoutError'
+                ? new UpstreamError(`Upstream did not answer within ${timeoutMs}ms`)
+                : new UpstreamError(`Upstream request failed: ${error.message}`);
+        }
+
+        if (attempt >= retries) throw failure;
+        await sleep(retryDelay(attempt, response));
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Local fatduck stand-in.
+ *
+ * Serves the recorded JSON in mock/fixtures so the analyzer can be developed
+ * and tested without network access. Start it, then point the analyzer at it:
+ *
+ * node mock/server.js
+ * FATDUCK_API_BASE=http://localhost:4000/api/v2 \
+ * MINERVA_API_BASE=http://localhost:4000/api/server/duck node index.js
+ *
+ * The tests import it and call startMockServer(0) for a free port; requestCount()
+ * tells them which upstream requests were made.
+ *
+ * Routes (same paths as the real APIs):
+ * - /api/v2/game/dps/<id>: fixtures/runs/<id>.json, or 404 when there is no such file
+ * - /api/server/duck/tables/virt.skilltable/<id>: the name from fixtures/skills.json.
+ *   A skill mapped to null answers 500 (a failed lookup), an unlisted skill
+ *   answers without a name (an unknown skill).
+ * - /mock/flaky/<key>?status=503&times=1&retryAfter=<s>: answers `status` (with Retry-After
+ *   when given) to the first `times` requests for `key`, then 200 { "attempts": n }
+ */
+
+import { createServer } from 'http';
+import { realpathSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { fileURLToPath, parse } from 'url';
+
+// --- CONFIGURATION ---
+const PORT = process.env.MOCK_PORT || 4000;
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+const requestCounts = new Map(); // pathname -> requests so far
+
+export const server = createServer(async (req, res) => {
+    const { pathname, query } = parse(req.url, true);
+    requestCounts.set(pathname, (requestCounts.get(pathname) || 0) + 1);
+
+    try {
+        // ROUTE 1: Run data
+        const runMatch = pathname.match(/^\/api\/v2\/game\/dps\/(\d+)$/);
+        if (runMatch) {
+            try {
+                const run = await readFile(new URL(`runs/${runMatch[1]}.json`, FIXTURES), 'utf8');
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(run);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                sendJson(res, 404, { error: 'Run not found' });
+            }
+            return;
+        }
+
+        // ROUTE 2: Skill table
+        const skillMatch = pathname.match(/^\/api\/server\/duck\/tables\/virt\.skilltable\/(-?\d+)$/);
+        if (skillMatch) {
+            const skills = JSON.parse(await readFile(new URL('skills.json', FIXTURES), 'utf8'));
+            const name = skills[skillMatch[1]];
+            if (name === null) {
+                sendJson(res, 500, { error: 'Simulated skill table failure' });
+            } else {
+                sendJson(res, 200, name ? { _NameID: Number(skillMatch[1]), _NameID_txt: name } : {});
+            }
+            return;
+        }
+
+        // ROUTE 3: Flaky endpoint for the retry tests (test/upstream.test.js)
+        if (/^\/mock\/flaky\/[\w-]+$/.test(pathname)) {
+            const attempts = requestCounts.get(pathname);
+            if (attempts <= Number(query.times || 1)) {
+                if (query.retryAfter) res.setHeader('Retry-After', query.retryAfter);
+                sendJson(res, Number(query.status || 503), { error: 'Simulated upstream failure' });
+            } else {
+                sendJson(res, 200, { attempts });
+            }
+            return;
+        }
+
+        // ROUTE 4: 404 Not Found
+        sendJson(res, 404, { error: 'Not Found' });
+
+    } catch (error) {
+        console.error("Mock Server Error:", error);
+        sendJson(res, 500, { error: error.message });
+    }
+});
+
+/**
+ * How many requests for `pathname` (e.g. "/mock/flaky/<key>") the mock has answered so far.
+ */
+export function requestCount(pathname) {
+    return requestCounts.get(pathname) || 0;
+}
+
+/**
+ * Starts listening and resolves with the port (0 picks a free one).
+ */
+export function startMockServer(port = PORT) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            server.off('error', reject);
+            resolve(server.address().port);
+        });
+    });
+}
+
+// Only listen when started directly (node mock/server.js), not when imported
+function isMainModule() {
+    try {
+        return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+    } catch (e) {
+        return false;
+    }
+}
+
+if (isMainModule()) {
+    startMockServer().then(port => {
+        console.log(`Mock fatduck running on http://localhost:${port}`);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
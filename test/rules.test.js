@@ -0,0 +1,62 @@
+/**
+ * lib/rules.js: which rules apply to a class and the warnings a spread gets.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { evaluateRules, rulesForClass, withWarnings } from '../lib/rules.js';
+
+const ruleSets = [
+    { class: '*', skills: { '-1': { percent: { max: 5 } }, '6802': { percent: { min: 1 } } } },
+    { class: 'Shadow', skills: {
+        '6802': { name: 'Pursuer', percent: { min: 15, max: 25 }, crit_rate: { min: 40 }, note: 'Main nuke' },
+        '6804': { name: 'Dark Lancer', percent: { min: 10 } }
+    } },
+    { class: 'Saint', skills: { '7101': { percent: { min: 50 } } } }
+];
+
+const rows = [
+    { id: 6802, name: 'Pursuer (Shadow)', percent: 30, crit_rate: 35 },
+    { id: -1, name: 'Basic Attack', percent: 4, crit_rate: 0 }
+];
+
+test("rulesForClass merges the shared rules with the class's own, class rules winning", () => {
+    const rules = rulesForClass(ruleSets, 'shadow');
+    assert.deepEqual(Object.keys(rules).sort(), ['-1', '6802', '6804']);
+    assert.deepEqual(rules['6802'].percent, { min: 15, max: 25 });
+    assert.deepEqual(Object.keys(rulesForClass(ruleSets, 'Sniper')).sort(), ['-1', '6802']);
+});
+
+test('evaluateRules warns on every metric out of range and on missing skills', () => {
+    const warnings = evaluateRules(rows, rulesForClass(ruleSets, 'Shadow'), {});
+    assert.deepEqual(warnings.map(warning => warning.message), [
+        'Pursuer (Shadow) is 30% of damage, expected 15-25%',
+        'Pursuer (Shadow) crit rate is 35%, expected at least 40%',
+        'Dark Lancer was not used, expected at least 10% of damage'
+    ]);
+    assert.deepEqual(warnings[0], {
+        skillId: 6802,
+        name: 'Pursuer (Shadow)',
+        metric: 'percent',
+        value: 30,
+        min: 15,
+        max: 25,
+        message: 'Pursuer (Shadow) is 30% of damage, expected 15-25%',
+        note: 'Main nuke'
+    });
+});
+
+test('a spread without damage has nothing to warn about', () => {
+    assert.deepEqual(evaluateRules([], rulesForClass(ruleSets, 'Shadow')), []);
+});
+
+test('withWarnings uses each player class from the run', () => {
+    const runData = { players: [{ id: '1', className: 'Shadow' }, { id: '2', className: 'Saint' }] };
+    const spread = { players: [{ id: '1', skills: rows }, { id: '2', skills: [{ id: 7101, name: 'Holy Burst', percent: 80, crit_rate: 0 }] }] };
+    const checked = withWarnings(spread, runData, ruleSets, {});
+    assert.equal(checked.players[0].warnings.length, 3);
+    // The shared rule has no name of its own, and the skill is not in the dictionary
+    assert.deepEqual(checked.players[1].warnings.map(warning => warning.message), [
+        'Unknown Skill (6802) was not used, expected at least 1% of damage'
+    ]);
+});
@@ -0,0 +1,106 @@
+/**
+ * lib/runData.js: saved runs load with the skill names they were saved with,
+ * and only their failed lookups go back to minerva (the mock, which counts
+ * every request). Snapshots and the skill cache live in a temporary directory.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { requestCount, server as mockServer, startMockServer } from '../mock/server.js';
+
+const RUN_ID = '900000000000000001';
+const skillPath = skillId => `/api/server/duck/tables/virt.skilltable/${skillId}`;
+
+let dataDir;
+let loadRun;
+let loadRunFromSaved;
+let fixtureRun;
+let names;
+
+before(async () => {
+    const mockPort = await startMockServer(0);
+    dataDir = await mkdtemp(join(tmpdir(), 'fatduck-test-'));
+
+    // Read when the lib modules load, so set before importing them
+    Object.assign(process.env, {
+        FATDUCK_API_BASE: `http://localhost:${mockPort}/api/v2`,
+        MINERVA_API_BASE: `http://localhost:${mockPort}/api/server/duck`,
+        SNAPSHOT_DIR: join(dataDir, 'runs'),
+        SKILL_CACHE_FILE: join(dataDir, 'skill-names.json'),
+        UPSTREAM_RETRIES: '0'
+    });
+    ({ loadRun, loadRunFromSaved } = await import('../lib/runData.js'));
+
+    fixtureRun = JSON.parse(await readFile(new URL(`../mock/fixtures/runs/${RUN_ID}.json`, import.meta.url), 'utf8'));
+    names = JSON.parse(await readFile(new URL('../mock/fixtures/skills.json', import.meta.url), 'utf8'));
+});
+
+after(async () => {
+    await new Promise(resolve => mockServer.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+// A saved response as the page or a snapshot has it: 9999 failed back then, 6805 is left out
+function savedResponse() {
+    return {
+        runData: fixtureRun,
+        skillDictionary: {
+            '6802': 'Pursuer (Shadow)',
+            '6803': 'Shadow Hand',
+            '9999': 'Error Skill (9999)',
+            '7101': names['7101'],
+            '7102': names['7102'],
+            '7103': names['7103'],
+            '8201': names['8201'],
+            '8202': names['8202'],
+            '-1': 'Basic Attack'
+        },
+        unresolvedSkillIds: [9999]
+    };
+}
+
+async function skillCache() {
+    try {
+        return JSON.parse(await readFile(process.env.SKILL_CACHE_FILE, 'utf8')).skills;
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+test('an uploaded saved response keeps its names but does not add them to the skill cache', async () => {
+    const uploaded = savedResponse();
+    uploaded.skillDictionary['6802'] = 'Made-up Name';
+    const result = await loadRunFromSaved(uploaded);
+
+    assert.equal(result.skillDictionary['6802'], 'Made-up Name');
+    assert.equal(requestCount(skillPath(6802)), 0);
+    assert.equal('6802' in await skillCache(), false);
+});
+
+test('a snapshot is served with its saved names, only failed and missing skills are looked up', async () => {
+    const savedAt = Date.now() - 60 * 1000;
+    await mkdir(process.env.SNAPSHOT_DIR, { recursive: true });
+    await writeFile(join(process.env.SNAPSHOT_DIR, `${RUN_ID}.json`), JSON.stringify({ id: RUN_ID, savedAt, ...savedResponse() }));
+    const counts = { run: requestCount(`/api/v2/game/dps/${RUN_ID}`), failed: requestCount(skillPath(9999)) };
+
+    const result = await loadRun(RUN_ID);
+    assert.equal(result.source, 'saved');
+    assert.equal(requestCount(`/api/v2/game/dps/${RUN_ID}`), counts.run);
+    ['6802', '6803', '7101', '8201'].forEach(skillId => {
+        assert.equal(result.skillDictionary[skillId], names[skillId]);
+        assert.equal(requestCount(skillPath(skillId)), 0, `looked up ${skillId}`);
+    });
+
+    // 9999 failed in the upload above, too recently to ask again; 6805 has no saved name, so it is looked up and found
+    assert.equal(counts.failed, 1);
+    assert.equal(requestCount(skillPath(9999)), counts.failed);
+    assert.deepEqual(result.unresolvedSkillIds, [9999]);
+    assert.equal(result.skillDictionary['6805'], names['6805']);
+
+    // The saved names are in the skill cache now, dated when the run was saved
+    assert.deepEqual((await skillCache())['6802'], { name: names['6802'], fetchedAt: savedAt });
+});
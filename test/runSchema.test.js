@@ -0,0 +1,65 @@
+/**
+ * lib/runSchema.js: type normalization and the issues listed for runs that
+ * do not fit, using the mock fixtures where they apply.
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { normalizeRun, RunDataError, validateRun } from '../lib/runSchema.js';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`../mock/fixtures/runs/${name}.json`, import.meta.url), 'utf8'));
+
+test('normalizes IDs, numbers and hit counts to one set of types', () => {
+    const { runData, issues } = validateRun({
+        players: [{ id: 101, name: 'Nightshade', className: 'Shadow' }],
+        gates: [{ id: 900, gateNum: '2', name: 'Boss', players: [
+            { id: 101, damageDealt: '1.500.000', skills: [{ id: '6802', damage: '1.500.000', hitCounts: ['3', 1] }, { id: -1, damage: 0 }] }
+        ] }],
+        dungeon: 'Kept as is'
+    });
+    assert.deepEqual(issues, []);
+    assert.equal(runData.players[0].id, '101');
+    assert.equal(runData.gates[0].id, '900');
+    assert.equal(runData.gates[0].gateNum, 2);
+    const player = runData.gates[0].players[0];
+    assert.equal(player.damageDealt, 1500000);
+    assert.deepEqual(player.skills[0], { id: 6802, damage: 1500000, hitCounts: [3, 1] });
+    assert.deepEqual(player.skills[1].hitCounts, []);
+    assert.equal(runData.dungeon, 'Kept as is');
+});
+
+test('missing lists default to empty ones', () => {
+    const { runData, issues } = validateRun(fixture('900000000000000002'));
+    assert.deepEqual(issues, []);
+    assert.deepEqual(runData.gates, []);
+});
+
+test('the input run is not modified', () => {
+    const raw = fixture('900000000000000001');
+    const copy = structuredClone(raw);
+    validateRun(raw);
+    assert.deepEqual(raw, copy);
+});
+
+test('lists every offending field of a malformed run', () => {
+    const { runData, issues } = validateRun(fixture('900000000000000003'));
+    assert.equal(runData, null);
+    assert.deepEqual(issues.map(issue => issue.path), [
+        'gates[0].players[0].skills[0].hitCounts',
+        'gates[0].players[0].skills[1].damage',
+        'gates[0].players[0].skills[2].id'
+    ]);
+    assert.match(issues[0].message, /expected an array of hit counts, got string/);
+});
+
+test('normalizeRun throws a RunDataError with the given message and status', () => {
+    assert.throws(() => normalizeRun('not a run', { message: 'Bad upload', status: 422 }), error => {
+        assert.ok(error instanceof RunDataError);
+        assert.equal(error.status, 422);
+        assert.equal(error.message, 'Bad upload: (run)');
+        assert.deepEqual(error.issues, [{ path: '(run)', message: 'expected an object, got string' }]);
+        return true;
+    });
+    assert.throws(() => normalizeRun(fixture('900000000000000003'), { status: 502 }), { status: 502 });
+});
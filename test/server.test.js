@@ -0,0 +1,194 @@
+/**
+ * The API end to end: starts the mock fatduck (mock/server.js) and the
+ * analyzer on free ports, points the analyzer at the mock and checks the
+ * status codes and bodies clients rely on.
+ *
+ * Saved runs and the skill name cache go to a temporary directory. Every
+ * test sends its own X-Forwarded-For client, so the rate limit of one test
+ * does not leak into the next.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { requestCount, server as mockServer, startMockServer } from '../mock/server.js';
+
+const RATE_LIMIT_MAX = 5;
+const MAX_RUN_SKILLS = 20;
+
+let dataDir;
+let baseUrl;
+let shutdown;
+let clients = 0;
+
+before(async () => {
+    const mockPort = await startMockServer(0);
+    dataDir = await mkdtemp(join(tmpdir(), 'fatduck-test-'));
+
+    // Read when the analyzer modules load, so set before importing them
+    Object.assign(process.env, {
+        FATDUCK_API_BASE: `http://localhost:${mockPort}/api/v2`,
+        MINERVA_API_BASE: `http://localhost:${mockPort}/api/server/duck`,
+        SNAPSHOT_DIR: join(dataDir, 'runs'),
+        SKILL_CACHE_FILE: join(dataDir, 'skill-names.json'),
+        UPSTREAM_RETRIES: '0',
+        FATDUCK_MIN_INTERVAL_MS: '1',
+        ACCESS_LOG: '0',
+        TRUST_PROXY: '1',
+        RATE_LIMIT_MAX: String(RATE_LIMIT_MAX),
+        MAX_RUN_SKILLS: String(MAX_RUN_SKILLS)
+    });
+    const analyzer = await import('../index.js');
+    shutdown = analyzer.shutdown;
+    baseUrl = `http://localhost:${await analyzer.startServer(0)}`;
+});
+
+after(async () => {
+    await shutdown();
+    await new Promise(resolve => mockServer.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+// A fresh client address for each test, see the header
+function newClient() {
+    clients++;
+    return `192.0.2.${clients}`;
+}
+
+function request(path, { client = newClient(), ...options } = {}) {
+    return fetch(`${baseUrl}${path}`, { ...options, headers: { 'X-Forwarded-For': client, ...options.headers } });
+}
+
+function upload(body) {
+    return request('/api/get-run-data', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('GET /api/get-run-data answers 200 with the normalized run and unresolved skills', async () => {
+    const response = await request('/api/get-run-data?id=900000000000000001');
+    assert.equal(response.status, 200);
+    const data = await response.json();
+    assert.equal(data.runData.players[0].id, '101');
+    assert.equal(data.runData.gates[0].players[0].damageDealt, 12500000);
+    assert.equal(data.skillDictionary['6802'], 'Pursuer (Shadow)');
+    // The mock fails the lookup of 9999, so it keeps a fallback name and is listed
+    assert.deepEqual(data.unresolvedSkillIds, [9999]);
+    assert.equal(data.skillDictionary['9999'], 'Error Skill (9999)');
+});
+
+test('/api/spread lists unresolved skills next to the spread', async () => {
+    const response = await request('/api/spread?id=900000000000000001&player=Nightshade&gate=2');
+    assert.equal(response.status, 200);
+    const spread = await response.json();
+    assert.deepEqual(spread.unresolvedSkillIds, [9999]);
+    assert.deepEqual(spread.gates[0].players[0].skills.map(skill => skill.id), [6802, 6805, 6803, 9999]);
+});
+
+test('/api/spread renders PNG and text exports, all cached for an hour', async () => {
+    const png = await request('/api/spread?id=900000000000000001&player=Nightshade&gate=2&format=png');
+    assert.equal(png.status, 200);
+    assert.equal(png.headers.get('content-type'), 'image/png');
+    assert.deepEqual([...new Uint8Array(await png.arrayBuffer()).slice(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+
+    const csv = await request('/api/spread?id=900000000000000001&player=Nightshade&gate=2&format=csv');
+    assert.equal(csv.status, 200);
+    assert.match(await csv.text(), /Pursuer \(Shadow\)/);
+    [png, csv].forEach(response => assert.match(response.headers.get('cache-control'), /s-maxage=3600/));
+
+    const unknown = await request('/api/spread?id=900000000000000001&format=gif');
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.headers.get('cache-control'), null);
+});
+
+test('an unknown run answers 404', async () => {
+    const response = await request('/api/get-run-data?id=900000000000000099');
+    assert.equal(response.status, 404);
+    assert.match((await response.json()).error, /Run not found/);
+});
+
+test('unknown routes and players answer 404', async () => {
+    assert.equal((await request('/api/nothing-here')).status, 404);
+    assert.equal((await request('/api/spread?id=900000000000000001&player=Nobody')).status, 404);
+});
+
+test('a malformed run from upstream answers 502 with the offending fields', async () => {
+    const response = await request('/api/get-run-data?id=900000000000000003');
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.deepEqual(body.issues.map(issue => issue.path), [
+        'gates[0].players[0].skills[0].hitCounts',
+        'gates[0].players[0].skills[1].damage',
+        'gates[0].players[0].skills[2].id'
+    ]);
+});
+
+test('a malformed upload answers 422 with the offending fields', async () => {
+    const response = await upload({ players: [], gates: [{ id: '1', gateNum: 'one', players: [] }] });
+    assert.equal(response.status, 422);
+    const body = await response.json();
+    assert.deepEqual(body.issues, [{ path: 'gates[0].gateNum', message: 'expected an integer, got string' }]);
+});
+
+test('an upload with more than MAX_RUN_SKILLS skills answers 413', async () => {
+    const skills = Array.from({ length: MAX_RUN_SKILLS + 1 }, (_, i) => ({ id: 10000 + i, damage: 1, hitCounts: [1] }));
+    const response = await upload({
+        players: [{ id: '101', name: 'Nightshade' }],
+        gates: [{ id: '1', gateNum: 1, players: [{ id: '101', damageDealt: skills.length, skills }] }]
+    });
+    assert.equal(response.status, 413);
+    assert.equal('issues' in await response.json(), false);
+});
+
+test('an upload over the body size limit answers 413 instead of dropping the connection', async () => {
+    const response = await request('/api/get-run-data', { method: 'POST', body: ' '.repeat(11 * 1024 * 1024) });
+    assert.equal(response.status, 413);
+    assert.equal(response.headers.get('connection'), 'close');
+    assert.match((await response.json()).error, /larger than/);
+});
+
+test('a saved response uploaded again answers 200', async () => {
+    const saved = await (await request('/api/get-run-data?id=900000000000000001')).json();
+    const response = await upload(saved);
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).unresolvedSkillIds, [9999]);
+});
+
+test('made-up skills uploaded again are not looked up again', async () => {
+    const skills = [20001, 20002, 20003].map(id => ({ id, damage: 1, hitCounts: [1] }));
+    const made = { players: [{ id: '101' }], gates: [{ id: '1', gateNum: 1, players: [{ id: '101', damageDealt: 3, skills }] }] };
+    for (let i = 0; i < 3; i++) {
+        const response = await upload(made);
+        assert.equal(response.status, 200);
+        assert.deepEqual((await response.json()).unresolvedSkillIds, [20001, 20002, 20003]);
+    }
+    skills.forEach(({ id }) => assert.equal(requestCount(`/api/server/duck/tables/virt.skilltable/${id}`), 1));
+});
+
+test('the rate limit answers 429 after RATE_LIMIT_MAX requests per client', async () => {
+    const client = newClient();
+    for (let i = 0; i < RATE_LIMIT_MAX; i++) {
+        const response = await request('/api/rules', { client });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-ratelimit-remaining'), String(RATE_LIMIT_MAX - i - 1));
+    }
+    const limited = await request('/api/rules', { client });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+    // The page and health check are not limited
+    assert.equal((await request('/', { client })).status, 200);
+    assert.equal((await request('/healthz', { client })).status, 200);
+});
+
+test('X-Forwarded-For entries the client made up do not reset its rate limit', async () => {
+    const client = newClient();
+    for (let i = 0; i < RATE_LIMIT_MAX; i++) {
+        assert.equal((await request('/api/rules', { client: `10.0.0.${i}, ${client}` })).status, 200);
+    }
+    assert.equal((await request('/api/rules', { client: `10.0.1.1, ${client}` })).status, 429);
+});
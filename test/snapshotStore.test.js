@@ -0,0 +1,72 @@
+/**
+ * lib/snapshotStore.js: the run list comes from index.json, which saving,
+ * pruning and deleting keep up to date, and which is rebuilt when missing.
+ * Snapshots go to a temporary directory.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+const SNAPSHOT_MAX_RUNS = 2;
+
+let dataDir;
+let store;
+
+before(async () => {
+    dataDir = await mkdtemp(join(tmpdir(), 'fatduck-test-'));
+    // Read when the store loads, so set before importing it
+    Object.assign(process.env, { SNAPSHOT_DIR: dataDir, SNAPSHOT_MAX_RUNS: String(SNAPSHOT_MAX_RUNS) });
+    store = await import('../lib/snapshotStore.js');
+});
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function run(name) {
+    return {
+        runData: { players: [{ id: '1', name }], gates: [{ id: '10', gateNum: 1, players: [] }] },
+        skillDictionary: {}
+    };
+}
+
+test('an empty directory lists no runs and writes nothing', async () => {
+    assert.deepEqual(await store.listSnapshots(), []);
+    assert.deepEqual(await readdir(dataDir), []);
+});
+
+test('saved runs are listed from the index, newest first', async () => {
+    await store.saveSnapshot('1', run('Alice'));
+    await sleep(5);
+    await store.saveSnapshot('2', run('Bob'));
+
+    // A snapshot that no longer parses is still listed: listing reads only the index
+    await writeFile(join(dataDir, '1.json'), 'not json');
+    const runs = await store.listSnapshots();
+    assert.deepEqual(runs.map(({ id, gates, players }) => ({ id, gates, players })), [
+        { id: '2', gates: 1, players: ['Bob'] },
+        { id: '1', gates: 1, players: ['Alice'] }
+    ]);
+});
+
+test('saving past SNAPSHOT_MAX_RUNS deletes the oldest run and its entry', async () => {
+    await sleep(5);
+    await store.saveSnapshot('3', run('Carol'));
+    assert.deepEqual((await store.listSnapshots()).map(({ id }) => id), ['3', '2']);
+    assert.deepEqual((await readdir(dataDir)).sort(), ['2.json', '3.json', 'index.json']);
+});
+
+test('deleting a run removes it from the list', async () => {
+    assert.equal(await store.deleteSnapshot('2'), true);
+    assert.equal(await store.deleteSnapshot('2'), false);
+    assert.deepEqual((await store.listSnapshots()).map(({ id }) => id), ['3']);
+});
+
+test('a missing index is rebuilt from the snapshots', async () => {
+    await rm(join(dataDir, 'index.json'));
+    assert.deepEqual((await store.listSnapshots()).map(({ id, players }) => ({ id, players })), [{ id: '3', players: ['Carol'] }]);
+    assert.ok((await readdir(dataDir)).includes('index.json'));
+});
@@ -0,0 +1,145 @@
+/**
+ * Run math in lib/spread.js, on a small two-gate run with two players.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+    aggregatePlayerRun,
+    buildPartyOverview,
+    buildRunBreakdown,
+    buildSkillRows,
+    collectSkillIds,
+    compareSpreads,
+    isValidRunId,
+    parseDamage,
+    parseRunId,
+    selectSpread,
+    summarizeHits,
+    toPercent
+} from '../lib/spread.js';
+
+const dictionary = { '100': 'Pursuer', '200': 'Shadow Hand', '-1': 'Basic Attack' };
+
+const run = {
+    players: [{ id: '1', name: 'Alice', className: 'Shadow' }, { id: '2', name: 'Bob', className: 'Saint' }],
+    gates: [
+        { id: 'g1', gateNum: 1, name: 'Entrance', players: [
+            { id: '1', damageDealt: 1000, skills: [
+                { id: 100, damage: 600, hitCounts: [10, 5] },
+                { id: -1, damage: 400, hitCounts: [20, 0] }
+            ] },
+            { id: '2', damageDealt: 3000, skills: [{ id: 200, damage: 3000, hitCounts: [4, 4] }] }
+        ] },
+        { id: 'g2', gateNum: 2, name: 'Boss', players: [
+            { id: '1', damageDealt: 2000, skills: [
+                { id: 100, damage: 1000, hitCounts: [10, 10] },
+                { id: 200, damage: 1000, hitCounts: [1] }
+            ] }
+        ] }
+    ]
+};
+
+test('damage strings and percentages', () => {
+    assert.equal(parseDamage('1.234.567'), 1234567);
+    assert.equal(parseDamage(42), 42);
+    assert.equal(parseDamage(null), 0);
+    assert.equal(toPercent(1, 3), 33.3);
+    assert.equal(toPercent(5, 0), 0);
+});
+
+test('collectSkillIds skips Basic Attack and duplicates', () => {
+    assert.deepEqual(collectSkillIds(run).sort(), [100, 200]);
+});
+
+test('buildSkillRows computes share and crits, sorted by damage', () => {
+    const rows = buildSkillRows(run.gates[0].players[0], dictionary);
+    assert.deepEqual(rows.map(row => row.name), ['Pursuer', 'Basic Attack']);
+    assert.equal(rows[0].damage, 600);
+    assert.equal(rows[0].percent, 60);
+    assert.equal(rows[0].crit_hits, '5 / 15');
+    assert.equal(rows[0].crit_rate, 33.3);
+    assert.deepEqual(buildSkillRows({ damageDealt: 0, skills: [{ id: 100, damage: 0 }] }, dictionary), []);
+});
+
+test('selectSpread picks players by name and gates by number', () => {
+    const spread = selectSpread(buildRunBreakdown(run, dictionary), { player: 'alice', gate: '2' });
+    assert.equal(spread.gates.length, 1);
+    assert.equal(spread.gates[0].players[0].name, 'Alice');
+    assert.equal(selectSpread(buildRunBreakdown(run, dictionary), { player: 'Bob', gate: '2' }), null);
+});
+
+test('aggregatePlayerRun sums damage and hits across gates', () => {
+    const total = aggregatePlayerRun(run, '1', dictionary);
+    assert.equal(total.totalDamage, 3000);
+    assert.deepEqual(total.gates.map(gate => gate.damage), [1000, 2000]);
+    const pursuer = total.skills.find(skill => skill.id === 100);
+    assert.equal(pursuer.damage, 1600);
+    assert.equal(pursuer.percent, 53.3);
+    assert.equal(pursuer.crit_hits, '15 / 35');
+    assert.deepEqual(pursuer.gates.map(gate => gate.percent), [37.5, 62.5]);
+});
+
+test('compareSpreads aligns rows by skill and flags one-sided skills', () => {
+    const rowsA = buildSkillRows(run.gates[0].players[0], dictionary);
+    const rowsB = buildSkillRows(run.gates[1].players[0], dictionary);
+    const comparison = compareSpreads(rowsA, rowsB);
+    const pursuer = comparison.find(skill => skill.id === 100);
+    assert.equal(pursuer.damage_diff, 400);
+    assert.equal(pursuer.percent_diff, -10);
+    assert.equal(comparison.find(skill => skill.id === -1).missing_from, 'b');
+    assert.equal(comparison.find(skill => skill.id === 200).missing_from, 'a');
+});
+
+test('parseRunId takes a bare ID or a run URL', () => {
+    assert.equal(parseRunId(' 776482144628289536 '), '776482144628289536');
+    assert.equal(parseRunId('https://fatduckdn.com/runs/776482144628289536/'), '776482144628289536');
+    assert.equal(parseRunId('https://fatduckdn.com/runs/../etc'), null);
+    assert.equal(parseRunId(''), null);
+});
+
+test('buildPartyOverview shares add up per gate and over the run', () => {
+    const gate = buildPartyOverview(run, '1', dictionary);
+    assert.equal(gate.totalDamage, 4000);
+    assert.deepEqual(gate.players.map(player => [player.name, player.share]), [['Bob', 75], ['Alice', 25]]);
+
+    const whole = buildPartyOverview(run, 'all', dictionary);
+    assert.equal(whole.gate, null);
+    assert.deepEqual(whole.players.map(player => [player.name, player.share]), [['Alice', 50], ['Bob', 50]]);
+    assert.equal(buildPartyOverview(run, '9', dictionary), null);
+});
+
+test('rows carry every hit bucket, total hits and damage per hit', () => {
+    const [pursuer] = buildSkillRows(run.gates[0].players[0], dictionary);
+    assert.deepEqual(pursuer, {
+        id: 100,
+        name: 'Pursuer',
+        damage: 600,
+        percent: 60,
+        crit_hits: '5 / 15',
+        crit_rate: 33.3,
+        hit_counts: [10, 5],
+        total_hits: 15,
+        damage_per_hit: 40
+    });
+
+    const total = aggregatePlayerRun(run, '1', dictionary);
+    assert.deepEqual(total.skills.find(skill => skill.id === 100).hit_counts, [20, 15]);
+    assert.equal(total.crit_rate, 26.8); // 15 crits over 56 hits
+});
+
+test('summarizeHits weights the crit rate by hits', () => {
+    const hits = summarizeHits(buildSkillRows(run.gates[0].players[0], dictionary));
+    assert.equal(hits.total_hits, 35);
+    assert.equal(hits.crit_hits, 5);
+    assert.equal(hits.crit_rate, 14.3);
+    assert.equal(hits.average_hits, 17.5);
+    assert.equal(hits.damage_per_hit, 29);
+    assert.deepEqual(hits.hit_counts, [30, 5]);
+});
+
+test('run IDs are 1-20 digits', () => {
+    assert.equal(isValidRunId('776482144628289536'), true);
+    assert.equal(isValidRunId('1'.repeat(21)), false);
+    assert.equal(isValidRunId('12a'), false);
+});
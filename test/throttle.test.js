@@ -0,0 +1,46 @@
+/**
+ * lib/throttle.js: the upstream concurrency limiter and the per-client rate limiter.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createLimiter, createRateLimiter } from '../lib/throttle.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('createLimiter never runs more than `concurrency` tasks at once', async () => {
+    const limit = createLimiter({ concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => limit(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(10);
+        active--;
+        return n * 10;
+    })));
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+});
+
+test('createLimiter spaces task starts by minIntervalMs and passes failures through', async () => {
+    const limit = createLimiter({ concurrency: 5, minIntervalMs: 30 });
+    const starts = [];
+    await Promise.all([1, 2, 3].map(() => limit(async () => starts.push(Date.now()))));
+    assert.ok(starts[1] - starts[0] >= 25 && starts[2] - starts[1] >= 25, `starts too close: ${starts}`);
+
+    await assert.rejects(limit(() => { throw new Error('boom'); }), /boom/);
+    assert.equal(await limit(() => 'still running'), 'still running');
+});
+
+test('createRateLimiter allows `max` requests per key and window', async () => {
+    const take = createRateLimiter({ windowMs: 50, max: 2 });
+    assert.deepEqual([take('a'), take('a'), take('a')].map(result => [result.allowed, result.remaining]), [[true, 1], [true, 0], [false, 0]]);
+    assert.equal(take('b').allowed, true); // Every client has its own window
+
+    await sleep(60);
+    const fresh = take('a');
+    assert.equal(fresh.allowed, true);
+    assert.equal(fresh.limit, 2);
+    assert.ok(fresh.resetAt > Date.now());
+});
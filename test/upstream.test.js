@@ -0,0 +1,64 @@
+/**
+ * lib/upstream.js: which upstream failures are retried, how often, and how
+ * long each wait is, against the mock's /mock/flaky/<key> route.
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { requestCount, server as mockServer, startMockServer } from '../mock/server.js';
+
+const RETRIES = 3;
+const RETRY_BASE_MS = 10;
+const MAX_RETRY_DELAY_MS = 300;
+
+let fetchJson;
+let UpstreamError;
+let mockBase;
+
+before(async () => {
+    mockBase = `http://localhost:${await startMockServer(0)}/mock/flaky`;
+
+    // Read when lib/upstream.js loads, so set before importing it
+    Object.assign(process.env, {
+        UPSTREAM_RETRIES: String(RETRIES),
+        UPSTREAM_RETRY_BASE_MS: String(RETRY_BASE_MS),
+        UPSTREAM_MAX_RETRY_DELAY_MS: String(MAX_RETRY_DELAY_MS)
+    });
+    ({ fetchJson, UpstreamError } = await import('../lib/upstream.js'));
+});
+
+after(() => new Promise(resolve => mockServer.close(resolve)));
+
+async function timed(promise) {
+    const started = Date.now();
+    const result = await promise;
+    return { result, ms: Date.now() - started };
+}
+
+test('a 503 is retried after the backoff and the next answer is used', async () => {
+    const { result, ms } = await timed(fetchJson(`${mockBase}/unavailable-once?status=503&times=1`));
+    assert.deepEqual(result, { attempts: 2 });
+    assert.ok(ms >= RETRY_BASE_MS && ms < MAX_RETRY_DELAY_MS, `waited ${ms}ms`);
+});
+
+test('a large Retry-After on a 429 is capped at UPSTREAM_MAX_RETRY_DELAY_MS', async () => {
+    // 3s is ten times the cap, and still short enough for a missing cap to fail instead of hang
+    const { result, ms } = await timed(fetchJson(`${mockBase}/rate-limited?status=429&times=1&retryAfter=3`));
+    assert.deepEqual(result, { attempts: 2 });
+    assert.ok(ms >= MAX_RETRY_DELAY_MS - 20 && ms < MAX_RETRY_DELAY_MS + 500, `waited ${ms}ms`);
+});
+
+test('a failure that does not go away is tried UPSTREAM_RETRIES + 1 times, then answers 502', async () => {
+    await assert.rejects(fetchJson(`${mockBase}/always-down?status=500&times=100`), error => {
+        assert.ok(error instanceof UpstreamError);
+        assert.equal(error.status, 502);
+        assert.equal(error.upstreamStatus, 500);
+        return true;
+    });
+    assert.equal(requestCount('/mock/flaky/always-down'), RETRIES + 1);
+});
+
+test('a 404 is not retried', async () => {
+    await assert.rejects(fetchJson(`${mockBase}/missing?status=404&times=100`), { status: 404, upstreamStatus: 404 });
+    assert.equal(requestCount('/mock/flaky/missing'), 1);
+});